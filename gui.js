@@ -7,186 +7,455 @@
  * 3. commands - 快捷键支持
  */
 
-const https = require('https');
-const { URL } = require('url');
+const { B2Client } = require('./lib/b2-client');
+const { getDeletePolicy, getBulkDeletePolicy, removeFile } = require('./lib/delete-policy');
+const { listProfiles, saveProfile, useProfile, getProfileConfig } = require('./lib/profiles');
+const { httpTransport, picgoTransport } = require('./lib/transport');
+const { resolveFileUrl, getDownloadAuthDuration } = require('./lib/file-url');
+const { resolveBucket, testConnection } = require('./lib/connection');
+const { BucketBrowser, isFolder } = require('./lib/bucket-browser');
+const { DEFAULT_DELETE_CONCURRENCY, parseSelectionText, findFiles, summarize, formatBytes, deleteFiles } = require('./lib/bulk-delete');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { resolveRemotePrefix } = require('./lib/sync');
+const {
+  extractFileNameFromUrl,
+  getGalleryItems,
+  addGalleryItems,
+  getEntryFileName,
+  isStillReferenced,
+  reconcile,
+  toGalleryItem
+} = require('./lib/gallery');
 
 /**
- * 简单的 HTTP 请求封装
- * 用于 GUI 功能中的独立请求
+ * 创建 B2 客户端（与上传器共用同一套 B2Client、授权缓存和 PicGo 的请求设置）
+ * 直接调用导出的 deleteB2File 等函数时可能没有 PicGo 上下文（如 test.js），此时使用 Node 的 http/https
+ * @param {Object} ctx - PicGo context，可省略
  */
-function makeRequest(options) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(options.url);
-    const reqOptions = {
-      hostname: url.hostname,
-      port: 443,
-      path: url.pathname + url.search,
-      method: options.method || 'GET',
-      headers: options.headers || {}
-    };
-
-    const req = https.request(reqOptions, (res) => {
-      let data = Buffer.alloc(0);
-      res.on('data', (chunk) => data = Buffer.concat([data, chunk]));
-      res.on('end', () => {
-        try {
-          const body = JSON.parse(data.toString());
-          resolve({ statusCode: res.statusCode, body });
-        } catch {
-          resolve({ statusCode: res.statusCode, body: data.toString() });
-        }
-      });
-    });
+function createClient(config, log, ctx) {
+  return B2Client.fromConfig(config, {
+    transport: ctx && ctx.request ? picgoTransport(ctx.request) : httpTransport,
+    log
+  });
+}
 
-    req.on('error', reject);
-    req.setTimeout(options.timeout || 30000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+// 删除前的确认提示（随删除策略变化）
+const DELETE_POLICY_HINTS = {
+  latest: '将删除该文件的最新版本，此操作不可恢复！',
+  all: '将删除该文件的所有历史版本，此操作不可恢复！',
+  hide: '将隐藏该文件，历史版本仍会保留。'
+};
 
-    if (options.body) {
-      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
-    }
-    req.end();
-  });
+// 批量删除确认时的提示（latest 按 all 执行）
+const BULK_DELETE_POLICY_HINTS = {
+  all: '将删除这些文件的所有历史版本（大小只计最新版本），此操作不可恢复！',
+  hide: '将隐藏这些文件，历史版本仍会保留。'
+};
+
+// 批量删除预览和失败报告中最多列出的文件数
+const BULK_LIST_LIMIT = 20;
+
+/**
+ * 补全只填写了 Bucket ID 或 Bucket Name 其中之一的配置
+ */
+async function withBucket(client, config) {
+  return { ...config, ...(await resolveBucket(client, config)) };
 }
 
 /**
- * 从 URL 中提取文件名
- * B2 URL 格式: https://f004.backblazeb2.com/file/bucket-name/path/to/file.png
+ * 删除结果的提示文字
  */
-function extractFileNameFromUrl(fileUrl, bucketName) {
-  try {
-    const url = new URL(fileUrl);
-    // 路径格式: /file/bucket-name/path/to/file.png
-    const pathParts = url.pathname.split('/');
-    // 去掉开头的 '' 和 'file' 和 bucketName
-    // ['', 'file', 'bucket-name', 'path', 'to', 'file.png']
-    if (pathParts.length >= 3 && pathParts[1] === 'file' && pathParts[2] === bucketName) {
-      return pathParts.slice(3).join('/');
-    }
-    // 如果是自定义域名，路径就是完整的
-    return url.pathname.substring(1); // 去掉开头的 /
-  } catch (err) {
-    return null;
+function describeRemoval({ policy, versions }) {
+  if (versions === 0) {
+    return '文件不存在或已删除';
+  }
+  if (policy === 'hide') {
+    return '已隐藏';
   }
+  if (policy === 'all') {
+    return `已删除 ${versions} 个版本`;
+  }
+  return '删除成功';
 }
 
 /**
- * B2 API 授权
+ * 按删除策略删除 B2 文件
+ * @param {Object} file - { fileName, fileId }，有 fileId 时 latest 策略只删除该版本
+ * @returns {Promise<Object>} { success, message, policy, versions }
  */
-async function authorizeB2(config) {
-  const { applicationKeyId, applicationKey } = config;
-  const authString = Buffer.from(`${applicationKeyId}:${applicationKey}`).toString('base64');
-  
-  const result = await makeRequest({
-    method: 'GET',
-    url: 'https://api.backblazeb2.com/b2api/v4/b2_authorize_account',
-    headers: {
-      'Authorization': `Basic ${authString}`
-    }
-  });
+async function removeB2File(file, config, log, ctx) {
+  const policy = getDeletePolicy(config);
+  log.info(`[B2 GUI] 准备删除文件 (${policy}): ${file.fileName}${file.fileId ? ` (${file.fileId})` : ''}`);
+
+  const client = createClient(config, log, ctx);
+  const { bucketId } = await withBucket(client, config);
+  const result = await removeFile(client, bucketId, file, policy);
+  const message = describeRemoval(result);
+
+  if (result.versions === 0) {
+    log.warn(`[B2 GUI] 文件不存在或已删除: ${file.fileName}`);
+  } else {
+    log.info(`[B2 GUI] ${message}: ${file.fileName}`);
+  }
+  return { success: true, message, ...result };
+}
 
-  if (result.statusCode !== 200) {
-    throw new Error(`授权失败: ${result.body.message || '未知错误'}`);
+/**
+ * 删除 B2 文件
+ * @param {Object} ctx - PicGo context，可省略
+ */
+async function deleteB2File(fileName, config, log, ctx) {
+  if (!fileName) {
+    throw new Error('文件名为空');
   }
+  return removeB2File({ fileName }, config, log, ctx);
+}
 
-  const storageApi = result.body.apiInfo?.storageApi;
-  return {
-    apiUrl: storageApi?.apiUrl,
-    authToken: result.body.authorizationToken,
-    downloadUrl: storageApi?.downloadUrl
-  };
+/**
+ * 按上传时记录的 fileId 和文件名精确删除
+ * @param {Object} file - 相册条目上的 item.b2: { fileId, fileName, bucketId, contentSha1 }
+ * @param {Object} ctx - PicGo context，可省略
+ */
+async function deleteB2FileVersion(file, config, log, ctx) {
+  return removeB2File({ fileName: file.fileName, fileId: file.fileId }, config, log, ctx);
 }
 
 /**
- * 删除 B2 文件
+ * 为私有 Bucket 中的文件重新生成签名链接
+ * @param {Object} ctx - PicGo context，可省略
  */
-async function deleteB2File(fileName, config, log) {
+async function signB2FileUrl(fileName, config, log, ctx) {
   if (!fileName) {
     throw new Error('文件名为空');
   }
 
-  log.info(`[B2 GUI] 准备删除文件: ${fileName}`);
-  
-  // 1. 授权
-  const auth = await authorizeB2(config);
-  log.info('[B2 GUI] 授权成功');
-
-  // 2. 获取文件版本（删除需要 fileId）
-  // 先尝试通过文件名获取 fileId
-  const listResult = await makeRequest({
-    method: 'POST',
-    url: `${auth.apiUrl}/b2api/v4/b2_list_file_names`,
-    headers: {
-      'Authorization': auth.authToken,
-      'Content-Type': 'application/json'
-    },
-    body: {
-      bucketId: config.bucketId,
-      prefix: fileName,
-      maxFileCount: 1
-    }
+  const client = createClient(config, log, ctx);
+  const bucketConfig = await withBucket(client, config);
+  const fileUrl = await resolveFileUrl(client, { ...bucketConfig, privateBucket: true }, { fileName });
+  log.info(`[B2 GUI] 已生成签名链接: ${fileName}`);
+  return fileUrl;
+}
+
+/**
+ * 文件浏览器当前页的显示文字
+ */
+function describePage(browser) {
+  const lines = browser.entries.map((entry, index) => (isFolder(entry)
+    ? `${index + 1}. 📁 ${browser.displayName(entry)}`
+    : `${index + 1}. ${browser.displayName(entry)} (${formatBytes(entry.contentLength)})`));
+  return [
+    `位置: /${browser.prefix}    第 ${browser.page} 页`,
+    '',
+    ...(lines.length > 0 ? lines : ['（没有文件）'])
+  ].join('\n');
+}
+
+/**
+ * 对选中的文件执行操作: 复制链接、复制 Markdown 或删除
+ * @param {Object} file - b2_list_file_names 返回的文件
+ * @returns {Promise<boolean>} 文件是否已删除
+ */
+async function showFileActions(ctx, guiApi, client, config, file) {
+  const buttons = ['复制链接', '复制 Markdown', '删除', '返回'];
+  const choice = await guiApi.showMessageBox({
+    title: file.fileName,
+    message: [
+      `大小: ${formatBytes(file.contentLength)}`,
+      `类型: ${file.contentType}`,
+      `上传时间: ${new Date(file.uploadTimestamp).toLocaleString()}`
+    ].join('\n'),
+    type: 'info',
+    buttons
   });
+  const action = buttons[choice.result];
+
+  if (action === '复制链接' || action === '复制 Markdown') {
+    let fileUrl;
+    try {
+      fileUrl = await resolveFileUrl(client, config, file);
+    } catch (err) {
+      // 例如 SSE-C 文件没有自定义域名时无法生成可访问的链接；留在文件浏览器中
+      ctx.log.error('[B2 GUI] 生成链接失败:', err.message);
+      await guiApi.showNotification({
+        title: 'B2 错误',
+        body: `生成链接失败: ${err.message}`
+      });
+      return false;
+    }
+    const name = file.fileName.split('/').pop();
+    ctx.emit('notification', {
+      title: action === '复制链接' ? '链接已复制' : 'Markdown 已复制',
+      body: file.fileName,
+      text: action === '复制链接' ? fileUrl : `![${name}](${fileUrl})`
+    });
+    return false;
+  }
+
+  if (action === '删除') {
+    const confirm = await guiApi.showMessageBox({
+      title: '确认删除',
+      message: `确定要删除云端文件 "${file.fileName}" 吗？\n${DELETE_POLICY_HINTS[getDeletePolicy(config)]}`,
+      type: 'warning',
+      buttons: ['取消', '删除']
+    });
+    if (confirm.result !== 1) {
+      return false;
+    }
+    const result = await removeB2File({ fileName: file.fileName, fileId: file.fileId }, config, ctx.log, ctx);
+    await guiApi.showNotification({
+      title: 'B2 删除结果',
+      body: result.message
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * 浏览 Bucket: 每页列出当前目录下的子目录和文件，
+ * 可翻页、返回上一级，按序号进入目录或选择文件
+ */
+async function browseBucket(ctx, guiApi, config) {
+  const client = createClient(config, ctx.log, ctx);
+  const bucketConfig = await withBucket(client, config);
+  const browser = new BucketBrowser(client, bucketConfig.bucketId);
+  await browser.load();
+
+  for (;;) {
+    const buttons = [
+      ...(browser.entries.length > 0 ? ['选择'] : []),
+      ...(browser.hasPrevious ? ['上一页'] : []),
+      ...(browser.hasNext ? ['下一页'] : []),
+      ...(browser.canGoUp ? ['上一级'] : []),
+      '关闭'
+    ];
+    const choice = await guiApi.showMessageBox({
+      title: `B2 Bucket: ${bucketConfig.bucketName}`,
+      message: describePage(browser),
+      type: 'info',
+      buttons
+    });
+    const action = buttons[choice.result];
+
+    if (action === '上一页') {
+      await browser.previous();
+    } else if (action === '下一页') {
+      await browser.next();
+    } else if (action === '上一级') {
+      await browser.up();
+    } else if (action === '选择') {
+      const input = await guiApi.showInputBox({
+        title: '选择文件或目录',
+        placeholder: `请输入序号 (1-${browser.entries.length})`
+      });
+      if (!input || input.trim() === '') {
+        continue;
+      }
 
-  if (listResult.statusCode !== 200) {
-    throw new Error(`获取文件信息失败: ${listResult.body.message}`);
+      const entry = browser.entries[Number(input.trim()) - 1];
+      if (!entry) {
+        await guiApi.showNotification({
+          title: 'B2 插件',
+          body: `无效的序号: ${input.trim()}`
+        });
+      } else if (isFolder(entry)) {
+        await browser.enter(entry);
+      } else if (await showFileActions(ctx, guiApi, client, bucketConfig, entry)) {
+        await browser.load();
+      }
+    } else {
+      return;
+    }
   }
+}
 
-  const files = listResult.body.files || [];
-  const targetFile = files.find(f => f.fileName === fileName);
+/**
+ * 列出最多 BULK_LIST_LIMIT 行，其余的只显示数量
+ */
+function limitLines(lines) {
+  if (lines.length <= BULK_LIST_LIMIT) {
+    return lines;
+  }
+  return [...lines.slice(0, BULK_LIST_LIMIT), `... 以及其他 ${lines.length - BULK_LIST_LIMIT} 个文件`];
+}
 
-  if (!targetFile) {
-    log.warn(`[B2 GUI] 文件不存在或已删除: ${fileName}`);
-    return { success: true, message: '文件不存在或已删除' };
+/**
+ * 批量删除: 先预览符合条件的文件数和总大小，确认后并发删除，最后报告失败的文件
+ * @param {Object} selection - lib/bulk-delete 的 parseSelectionText 结果
+ */
+async function purgeB2Files(ctx, guiApi, config, selection) {
+  const client = createClient(config, ctx.log, ctx);
+  const { bucketId } = await withBucket(client, config);
+  const files = await findFiles(client, bucketId, selection);
+
+  if (files.length === 0) {
+    await guiApi.showNotification({
+      title: 'B2 批量删除',
+      body: '没有符合条件的文件'
+    });
+    return;
   }
 
-  // 3. 删除文件
-  const deleteResult = await makeRequest({
-    method: 'POST',
-    url: `${auth.apiUrl}/b2api/v4/b2_delete_file_version`,
-    headers: {
-      'Authorization': auth.authToken,
-      'Content-Type': 'application/json'
-    },
-    body: {
-      fileId: targetFile.fileId,
-      fileName: targetFile.fileName
-    }
+  const policy = getBulkDeletePolicy(config);
+  const { count, bytes } = summarize(files);
+  const confirm = await guiApi.showMessageBox({
+    title: '确认批量删除',
+    message: [
+      `共 ${count} 个文件，合计 ${formatBytes(bytes)}`,
+      BULK_DELETE_POLICY_HINTS[policy],
+      '',
+      ...limitLines(files.map(file => `${file.fileName} (${formatBytes(file.contentLength)})`))
+    ].join('\n'),
+    type: 'warning',
+    buttons: ['取消', `删除 ${count} 个文件`]
+  });
+  if (confirm.result !== 1) {
+    return;
+  }
+
+  await guiApi.showNotification({
+    title: 'B2 插件',
+    body: '正在删除...'
   });
 
-  if (deleteResult.statusCode !== 200) {
-    throw new Error(`删除失败: ${deleteResult.body.message}`);
+  const { deleted, failed } = await deleteFiles(client, bucketId, files, { policy, concurrency: DEFAULT_DELETE_CONCURRENCY });
+  ctx.log.info(`[B2 GUI] 批量删除完成: 成功 ${deleted.length} 个，失败 ${failed.length} 个`);
+
+  if (failed.length === 0) {
+    await guiApi.showNotification({
+      title: 'B2 批量删除',
+      body: `已${policy === 'hide' ? '隐藏' : '删除'} ${deleted.length} 个文件`
+    });
+    return;
   }
 
-  log.info(`[B2 GUI] 删除成功: ${fileName}`);
-  return { success: true, message: '删除成功' };
+  for (const failure of failed) {
+    ctx.log.error(`[B2 GUI] 删除失败: ${failure.fileName}: ${failure.error}`);
+  }
+  await guiApi.showMessageBox({
+    title: 'B2 批量删除（部分失败）',
+    message: [
+      `成功 ${deleted.length} 个，失败 ${failed.length} 个`,
+      '',
+      ...limitLines(failed.map(failure => `❌ ${failure.fileName}: ${failure.error}`))
+    ].join('\n'),
+    type: 'error',
+    buttons: ['确定']
+  });
 }
 
 /**
- * 获取 B2 Bucket 中的文件列表
+ * 插件上传的文件所在的前缀: Path Prefix，必要时加上应用密钥的 namePrefix
+ * Path Prefix 不在 namePrefix 内时上传本身会失败，此时只按 namePrefix 列出
  */
-async function listB2Files(config, maxFiles = 100) {
-  const auth = await authorizeB2(config);
-  
-  const result = await makeRequest({
-    method: 'POST',
-    url: `${auth.apiUrl}/b2api/v4/b2_list_file_names`,
-    headers: {
-      'Authorization': auth.authToken,
-      'Content-Type': 'application/json'
-    },
-    body: {
-      bucketId: config.bucketId,
-      maxFileCount: maxFiles
-    }
-  });
+function getUploadPrefix(config, allowed) {
+  try {
+    return resolveRemotePrefix(config.pathPrefix, allowed, config.autoNamePrefix);
+  } catch (err) {
+    return allowed.namePrefix;
+  }
+}
 
-  if (result.statusCode !== 200) {
-    throw new Error(`获取文件列表失败: ${result.body.message}`);
+/**
+ * 核对相册与 Bucket: 只核对插件上传范围内的文件，列出孤立文件和失效条目，
+ * 按用户选择删除孤立文件、把孤立文件导入相册，或从相册中清理失效条目
+ */
+async function reconcileGallery(ctx, guiApi, config) {
+  const client = createClient(config, ctx.log, ctx);
+  const bucketConfig = await withBucket(client, config);
+  const { bucketId } = bucketConfig;
+  const auth = await client.authorize();
+  const prefix = getUploadPrefix(config, auth.allowed);
+  const entryConfig = { ...bucketConfig, downloadUrl: auth.downloadUrl };
+  const files = await findFiles(client, bucketId, { prefix });
+  const entries = await getGalleryItems(guiApi.galleryDB);
+  let { matched, orphans, dead } = reconcile(files, entries, entryConfig, prefix);
+  ctx.log.info(`[B2 GUI] 相册核对: 一致 ${matched} 个，孤立文件 ${orphans.length} 个，失效条目 ${dead.length} 个`);
+
+  for (;;) {
+    const buttons = [
+      ...(orphans.length > 0 ? ['删除孤立文件', '导入到相册'] : []),
+      ...(dead.length > 0 ? ['清理失效条目'] : []),
+      '关闭'
+    ];
+    const choice = await guiApi.showMessageBox({
+      title: `相册核对: ${bucketConfig.bucketName}/${prefix}`,
+      message: [
+        `✅ 相册与 Bucket 一致: ${matched} 个文件`,
+        `☁️ 只在 Bucket 中的孤立文件: ${orphans.length} 个`,
+        ...limitLines(orphans.map(file => `    ${file.fileName}`)),
+        `🖼️ 文件已不存在的相册条目: ${dead.length} 个`,
+        ...limitLines(dead.map(entry => `    ${getEntryFileName(entry, entryConfig)}`))
+      ].join('\n'),
+      type: orphans.length > 0 || dead.length > 0 ? 'warning' : 'info',
+      buttons
+    });
+    const action = buttons[choice.result];
+
+    if (action === '删除孤立文件') {
+      const policy = getBulkDeletePolicy(config);
+      const { count, bytes } = summarize(orphans);
+      const confirm = await guiApi.showMessageBox({
+        title: '确认删除',
+        message: `确定要删除 ${count} 个孤立文件（合计 ${formatBytes(bytes)}）吗？\n${BULK_DELETE_POLICY_HINTS[policy]}`,
+        type: 'warning',
+        buttons: ['取消', '删除']
+      });
+      if (confirm.result !== 1) {
+        continue;
+      }
+
+      const { deleted, failed } = await deleteFiles(client, bucketId, orphans, { policy, concurrency: DEFAULT_DELETE_CONCURRENCY });
+      for (const failure of failed) {
+        ctx.log.error(`[B2 GUI] 删除失败: ${failure.fileName}: ${failure.error}`);
+      }
+      const failedNames = new Set(failed.map(failure => failure.fileName));
+      orphans = orphans.filter(file => failedNames.has(file.fileName));
+      await guiApi.showNotification({
+        title: '相册核对',
+        body: `已删除 ${deleted.length} 个孤立文件${failed.length > 0 ? `，${failed.length} 个失败（详见日志）` : ''}`
+      });
+    } else if (action === '导入到相册') {
+      const items = await mapWithConcurrency(orphans, DEFAULT_DELETE_CONCURRENCY,
+        async (file) => toGalleryItem(file, await resolveFileUrl(client, bucketConfig, file), bucketConfig));
+      await addGalleryItems(guiApi.galleryDB, items);
+      ctx.log.info(`[B2 GUI] 已导入 ${items.length} 个文件到相册`);
+      matched += items.length;
+      orphans = [];
+      await guiApi.showNotification({
+        title: '相册核对',
+        body: `已导入 ${items.length} 个文件到相册`
+      });
+    } else if (action === '清理失效条目') {
+      for (const entry of dead) {
+        await guiApi.galleryDB.removeById(entry.id);
+      }
+      ctx.log.info(`[B2 GUI] 已从相册移除 ${dead.length} 个失效条目`);
+      await guiApi.showNotification({
+        title: '相册核对',
+        body: `已从相册移除 ${dead.length} 个失效条目`
+      });
+      dead = [];
+    } else {
+      return;
+    }
   }
+}
 
-  return result.body.files || [];
+/**
+ * 测试连接，并保存查出的 Bucket ID / Bucket Name
+ * @returns {Promise<Object>} testConnection 的检查结果
+ */
+async function checkB2Connection(ctx, config) {
+  const report = await testConnection(createClient(config, ctx.log, ctx), config);
+  if (report.bucketId && (report.bucketId !== config.bucketId || report.bucketName !== config.bucketName)) {
+    ctx.saveConfig({
+      'picBed.b2.bucketId': report.bucketId,
+      'picBed.b2.bucketName': report.bucketName
+    });
+    ctx.log.info(`[B2 GUI] 已保存 Bucket: ${report.bucketName} (${report.bucketId})`);
+  }
+  return report;
 }
 
 /**
@@ -219,38 +488,7 @@ const guiMenu = (ctx) => {
             body: '正在获取文件列表...'
           });
 
-          const files = await listB2Files(config, 50);
-          
-          if (files.length === 0) {
-            await guiApi.showMessageBox({
-              title: 'B2 Bucket 文件',
-              message: 'Bucket 中没有文件',
-              type: 'info',
-              buttons: ['确定']
-            });
-            return;
-          }
-
-          // 构建文件列表文本
-          const fileList = files.map((f, i) => 
-            `${i + 1}. ${f.fileName} (${(f.contentLength / 1024).toFixed(2)} KB)`
-          ).join('\n');
-
-          const result = await guiApi.showMessageBox({
-            title: `B2 Bucket 文件 (共 ${files.length} 个)`,
-            message: fileList.substring(0, 1000) + (fileList.length > 1000 ? '\n...' : ''),
-            type: 'info',
-            buttons: ['确定', '复制列表']
-          });
-
-          if (result.result === 1) {
-            // 用户点击"复制列表"
-            ctx.emit('notification', {
-              title: '已复制',
-              body: '文件列表已复制到剪贴板',
-              text: files.map(f => f.fileName).join('\n')
-            });
-          }
+          await browseBucket(ctx, guiApi, config);
         } catch (err) {
           ctx.log.error('[B2 GUI] 获取文件列表失败:', err.message);
           await guiApi.showNotification({
@@ -274,10 +512,10 @@ const guiMenu = (ctx) => {
             return;
           }
 
-          // 确认删除
+          // 确认删除（提示内容随删除策略变化）
           const confirm = await guiApi.showMessageBox({
             title: '确认删除',
-            message: `确定要删除云端文件 "${fileName}" 吗？\n此操作不可恢复！`,
+            message: `确定要删除云端文件 "${fileName}" 吗？\n${DELETE_POLICY_HINTS[getDeletePolicy(config)]}`,
             type: 'warning',
             buttons: ['取消', '删除']
           });
@@ -291,7 +529,7 @@ const guiMenu = (ctx) => {
             body: '正在删除...'
           });
 
-          const result = await deleteB2File(fileName.trim(), config, ctx.log);
+          const result = await deleteB2File(fileName.trim(), config, ctx.log, ctx);
 
           await guiApi.showNotification({
             title: 'B2 删除结果',
@@ -306,6 +544,180 @@ const guiMenu = (ctx) => {
         }
       }
     },
+    {
+      label: '🧹 批量删除云端文件',
+      async handle(ctx, guiApi) {
+        try {
+          const text = await guiApi.showInputBox({
+            title: '批量删除 B2 云端文件',
+            placeholder: '筛选条件 (例如: prefix=tmp/ glob=**/*.png before=30d min-size=1MB)'
+          });
+
+          if (!text || text.trim() === '') {
+            return;
+          }
+
+          await purgeB2Files(ctx, guiApi, config, parseSelectionText(text));
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 批量删除失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `批量删除失败: ${err.message}`
+          });
+        }
+      }
+    },
+    {
+      label: '🔄 核对相册与 Bucket',
+      async handle(ctx, guiApi) {
+        try {
+          if (!guiApi.galleryDB) {
+            await guiApi.showNotification({
+              title: 'B2 插件',
+              body: '当前 PicGo 版本不支持访问相册，无法核对'
+            });
+            return;
+          }
+
+          await guiApi.showNotification({
+            title: 'B2 插件',
+            body: '正在核对相册与 Bucket...'
+          });
+
+          await reconcileGallery(ctx, guiApi, config);
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 相册核对失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `相册核对失败: ${err.message}`
+          });
+        }
+      }
+    },
+    {
+      label: '🔏 生成签名链接',
+      async handle(ctx, guiApi) {
+        try {
+          const fileName = await guiApi.showInputBox({
+            title: '生成私有文件签名链接',
+            placeholder: '请输入文件名 (例如: test/logo_1234567890_abc123.png)'
+          });
+
+          if (!fileName || fileName.trim() === '') {
+            return;
+          }
+
+          const fileUrl = await signB2FileUrl(fileName.trim(), config, ctx.log, ctx);
+          const hours = Math.round(getDownloadAuthDuration(config) / 3600 * 10) / 10;
+
+          ctx.emit('notification', {
+            title: '签名链接已复制',
+            body: `链接 ${hours} 小时内有效`,
+            text: fileUrl
+          });
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 生成签名链接失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `生成签名链接失败: ${err.message}`
+          });
+        }
+      }
+    },
+    {
+      label: `🔀 切换配置档案${config.activeProfile ? ` (当前: ${config.activeProfile})` : ''}`,
+      async handle(ctx, guiApi) {
+        try {
+          const names = listProfiles(config);
+          if (names.length === 0) {
+            await guiApi.showNotification({
+              title: 'B2 插件',
+              body: '还没有配置档案，请先使用「保存为配置档案」'
+            });
+            return;
+          }
+
+          const choice = await guiApi.showMessageBox({
+            title: '切换 B2 配置档案',
+            message: names.map(name => `${name === config.activeProfile ? '● ' : '○ '}${name}`).join('\n'),
+            type: 'info',
+            buttons: [...names, '取消']
+          });
+
+          const name = names[choice.result];
+          if (!name) {
+            return;
+          }
+
+          const next = useProfile(ctx, name);
+          await guiApi.showNotification({
+            title: 'B2 配置档案',
+            body: `已切换到 ${name}（Bucket: ${next.bucketName}）`
+          });
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 切换配置档案失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `切换配置档案失败: ${err.message}`
+          });
+        }
+      }
+    },
+    {
+      label: '💾 保存为配置档案',
+      async handle(ctx, guiApi) {
+        try {
+          const name = await guiApi.showInputBox({
+            title: '保存 B2 配置档案',
+            placeholder: '请输入档案名称 (例如: blog、work-docs)'
+          });
+
+          if (!name || name.trim() === '') {
+            return;
+          }
+
+          saveProfile(ctx, name.trim());
+          await guiApi.showNotification({
+            title: 'B2 配置档案',
+            body: `当前设置已保存为 ${name.trim()}`
+          });
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 保存配置档案失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `保存配置档案失败: ${err.message}`
+          });
+        }
+      }
+    },
+    {
+      label: '🩺 测试连接',
+      async handle(ctx, guiApi) {
+        try {
+          const report = await checkB2Connection(ctx, config);
+          const lines = report.ok
+            ? [
+              `✅ Bucket: ${report.bucketName} (${report.bucketId})`,
+              `✅ 权限: ${report.capabilities.join(', ')}`,
+              ...(report.namePrefix ? [`ℹ️ 密钥限定文件名前缀: ${report.namePrefix}`] : [])
+            ]
+            : report.problems.map(problem => `❌ ${problem}`);
+
+          await guiApi.showMessageBox({
+            title: report.ok ? 'B2 连接正常' : 'B2 配置有误',
+            message: lines.join('\n'),
+            type: report.ok ? 'info' : 'error',
+            buttons: ['确定']
+          });
+        } catch (err) {
+          ctx.log.error('[B2 GUI] 测试连接失败:', err.message);
+          await guiApi.showNotification({
+            title: 'B2 错误',
+            body: `测试连接失败: ${err.message}`
+          });
+        }
+      }
+    },
     {
       label: '🔗 打开 B2 控制台',
       async handle(ctx, guiApi) {
@@ -321,12 +733,29 @@ const guiMenu = (ctx) => {
   ];
 };
 
+/**
+ * 读取相册条目，用于删除前检查同一文件是否仍被引用
+ * @returns {Promise<Array<Object>|null>} 没有 galleryDB 或读取失败时为 null
+ */
+async function readGallery(ctx, guiApi) {
+  if (!guiApi || !guiApi.galleryDB) {
+    return null;
+  }
+  try {
+    return await getGalleryItems(guiApi.galleryDB);
+  } catch (err) {
+    ctx.log.warn(`[B2 GUI] 读取相册失败: ${err.message}`);
+    return null;
+  }
+}
+
 /**
  * 监听相册删除事件
  * 当用户在相册删除图片时，同步删除 B2 云端文件
+ * 多个条目指向同一个去重文件时，删除最后一个条目才删除云端文件
  */
 const registerRemoveListener = (ctx) => {
-  ctx.on('remove', async (files) => {
+  ctx.on('remove', async (files, guiApi) => {
     const config = ctx.getConfig('picBed.b2');
     
     if (!config) {
@@ -335,6 +764,7 @@ const registerRemoveListener = (ctx) => {
     }
 
     ctx.log.info(`[B2 GUI] 检测到 ${files.length} 个文件被删除，准备同步删除云端...`);
+    const entries = await readGallery(ctx, guiApi);
 
     for (const file of files) {
       // 只处理 B2 上传的文件
@@ -343,9 +773,31 @@ const registerRemoveListener = (ctx) => {
         continue;
       }
 
+      // 按上传时使用的配置档案删除，确保删除的是文件所在的 Bucket
+      const profile = file.b2 && file.b2.profile;
+      const fileConfig = getProfileConfig(ctx, profile);
+      if (!fileConfig) {
+        ctx.log.warn(`[B2 GUI] 配置档案 "${profile}" 不存在，跳过云端删除: ${file.fileName}`);
+        continue;
+      }
+
       try {
-        // 从 URL 提取文件名
-        const fileName = extractFileNameFromUrl(file.imgUrl, config.bucketName);
+        // 上传时记录了 fileId 和文件名，直接按版本删除
+        if (file.b2 && file.b2.fileId && file.b2.fileName) {
+          // 去重复用的文件可能还被其他相册条目使用；读不到相册时跳过复用的条目
+          if (entries ? isStillReferenced(entries, files, file.b2) : file.b2.reused) {
+            ctx.log.info(`[B2 GUI] 其他相册条目仍在使用该文件，跳过云端删除: ${file.b2.fileName}`);
+            continue;
+          }
+          ctx.log.info(`[B2 GUI] 删除云端文件: ${file.b2.fileName}`);
+          const versionConfig = { ...fileConfig, bucketId: file.b2.bucketId || fileConfig.bucketId };
+          const result = await deleteB2FileVersion(file.b2, versionConfig, ctx.log, ctx);
+          ctx.log.info(`[B2 GUI] 云端${result.message}: ${file.b2.fileName}`);
+          continue;
+        }
+
+        // 旧条目没有记录，从 URL 提取文件名
+        const fileName = extractFileNameFromUrl(file.imgUrl, fileConfig.bucketName);
         
         if (!fileName) {
           ctx.log.warn(`[B2 GUI] 无法从 URL 提取文件名: ${file.imgUrl}`);
@@ -353,8 +805,8 @@ const registerRemoveListener = (ctx) => {
         }
 
         ctx.log.info(`[B2 GUI] 删除云端文件: ${fileName}`);
-        await deleteB2File(fileName, config, ctx.log);
-        ctx.log.info(`[B2 GUI] 云端文件删除成功: ${fileName}`);
+        const result = await deleteB2File(fileName, fileConfig, ctx.log, ctx);
+        ctx.log.info(`[B2 GUI] 云端${result.message}: ${fileName}`);
       } catch (err) {
         ctx.log.error(`[B2 GUI] 云端文件删除失败: ${err.message}`);
         // 不抛出错误，避免阻塞其他删除操作
@@ -389,5 +841,8 @@ module.exports = {
   guiMenu,
   registerRemoveListener,
   commands,
-  deleteB2File
+  deleteB2File,
+  deleteB2FileVersion,
+  signB2FileUrl,
+  checkB2Connection
 };
@@ -8,7 +8,29 @@
  * - GUI 版本: 上传 + 相册删除同步 + 云端文件管理
  */
 
-const crypto = require('crypto');
+const path = require('path');
+const { B2Client, sha1, DEFAULT_REQUEST_TIMEOUT } = require('./lib/b2-client');
+const { picgoTransport } = require('./lib/transport');
+const { DEFAULT_MAX_ATTEMPTS } = require('./lib/retry');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const {
+  DEFAULT_LARGE_FILE_THRESHOLD_MB,
+  DEFAULT_LARGE_FILE_CONCURRENCY,
+  DEFAULT_UPLOAD_CONCURRENCY,
+  getUploadOptions,
+  getUploadConcurrency
+} = require('./lib/config');
+const { renderKeyTemplate, validateFileName } = require('./lib/key-template');
+const { DedupeIndex, isContentAddressed, getContentSha1, getDefaultIndexPath } = require('./lib/dedupe');
+const { resolveContentType, parseContentTypeMap } = require('./lib/content-type');
+const { stripMetadata } = require('./lib/strip-metadata');
+const { getFileInfoTemplates, renderFileInfo } = require('./lib/file-info');
+const { ENCRYPTION_MODES, SSE_C_KEY_ENV, getEncryption, assertServableUrls } = require('./lib/encryption');
+const { DELETE_POLICIES, DEFAULT_DELETE_POLICY } = require('./lib/delete-policy');
+const cli = require('./lib/cli');
+const { resolveBucket, assertBucketAllowed, applyNamePrefix } = require('./lib/connection');
+const { describeFile } = require('./lib/gallery');
+const { resolveFileUrl, validateUrlTemplate, DEFAULT_DOWNLOAD_AUTH_DURATION } = require('./lib/file-url');
 
 // 加载 GUI 功能模块（仅在 GUI 版本时生效）
 let guiModule;
@@ -19,222 +41,45 @@ try {
 }
 
 /**
- * Calculate SHA1 hash of buffer
- * @param {Buffer} buffer 
- * @returns {string} SHA1 hash in hex
- */
-function sha1(buffer) {
-  return crypto.createHash('sha1').update(buffer).digest('hex');
-}
-
-/**
- * Generate a unique filename to avoid conflicts
- * @param {string} originalName 
- * @returns {string}
- */
-function generateUniqueFileName(originalName) {
-  const timestamp = Date.now();
-  const randomStr = Math.random().toString(36).substring(2, 8);
-  const ext = originalName.substring(originalName.lastIndexOf('.'));
-  const baseName = originalName.substring(0, originalName.lastIndexOf('.'));
-  return `${baseName}_${timestamp}_${randomStr}${ext}`;
-}
-
-/**
- * Parse response from PicGo's request utility
- * PicGo may return:
- * - Direct JSON object on success
- * - Error object with status/statusCode on failure
- */
-/**
- * Parse response from PicGo's request utility
- * PicGo returns direct JSON body on success, error object on failure
- */
-function parseResponse(result) {
-  if (typeof result === 'object' && result !== null) {
-    // Check if this is an error response with statusCode
-    const statusCode = result.statusCode || result.status;
-    
-    if (statusCode && (statusCode < 200 || statusCode >= 300)) {
-      let body = result.body || result.data || result;
-      if (typeof body === 'string') {
-        try { body = JSON.parse(body); } catch (e) {}
-      }
-      return { statusCode, body };
-    }
-    
-    // Check if result has body/data (axios-style wrapper)
-    if (result.body !== undefined || result.data !== undefined) {
-      let body = result.body || result.data;
-      if (typeof body === 'string') {
-        try { body = JSON.parse(body); } catch (e) {}
-      }
-      return { statusCode: 200, body };
-    }
-    
-    // Otherwise, result is the body itself (direct response)
-    return { statusCode: 200, body: result };
-  }
-  
-  return { statusCode: undefined, body: result };
-}
-
-/**
- * Authorize with B2 and get API URL and auth token
- * @param {string} applicationKeyId 
- * @param {string} applicationKey 
- * @param {Object} request - PicGo's request utility
- * @param {Object} log - PicGo's logger
- * @returns {Promise<Object>} { apiUrl, authToken, downloadUrl }
+ * Create a B2 client that sends requests through PicGo's request utility
+ * @param {Object} ctx - PicGo context
+ * @param {Object} config - picBed.b2 config
+ * @returns {B2Client}
  */
-async function authorizeAccount(applicationKeyId, applicationKey, request, log) {
-  const authString = Buffer.from(`${applicationKeyId}:${applicationKey}`).toString('base64');
-  
-  log.info('[B2] Authorizing...');
-  
-  let result;
-  try {
-    result = await request({
-      method: 'GET',
-      url: 'https://api.backblazeb2.com/b2api/v4/b2_authorize_account',
-      headers: {
-        'Authorization': `Basic ${authString}`
-      },
-      json: true
-    });
-  } catch (err) {
-    throw new Error(`Authorization request failed: ${err.message}`);
-  }
-
-  const { statusCode, body } = parseResponse(result);
-  
-  if (statusCode !== 200) {
-    const errorMsg = body && typeof body === 'object' ? body.message : 'Unknown error';
-    throw new Error(`Authorization failed: ${errorMsg}`);
-  }
-
-  if (!body || typeof body !== 'object') {
-    throw new Error('Authorization response is empty or invalid');
-  }
-
-  // B2 API v4 structure: apiInfo.storageApi.{apiUrl,downloadUrl}
-  const storageApi = body.apiInfo?.storageApi;
-  const apiUrl = storageApi?.apiUrl;
-  const downloadUrl = storageApi?.downloadUrl;
-  const authToken = body.authorizationToken;
-
-  if (!apiUrl || !authToken) {
-    throw new Error('Authorization response missing apiUrl or authorizationToken');
-  }
-
-  return {
-    apiUrl,
-    authToken,
-    downloadUrl: downloadUrl || apiUrl,
-    allowed: body.allowed
-  };
+function createClient(ctx, config) {
+  return B2Client.fromConfig(config, {
+    transport: picgoTransport(ctx.request),
+    log: ctx.log
+  });
 }
 
 /**
- * Get upload URL for a bucket
- * @param {string} apiUrl 
- * @param {string} authToken 
+ * Look up an existing file with the same content
+ * Content-addressed key templates are checked by their key directly; other
+ * templates go through the local dedupe index, whose hits are confirmed on B2
+ * @param {B2Client} client 
  * @param {string} bucketId 
- * @param {Object} request - PicGo's request utility
- * @param {Object} log - PicGo's logger
- * @returns {Promise<Object>} { uploadUrl, uploadAuthToken }
- */
-async function getUploadUrl(apiUrl, authToken, bucketId, request, log) {
-  let result;
-  try {
-    result = await request({
-      method: 'POST',
-      url: `${apiUrl}/b2api/v4/b2_get_upload_url`,
-      headers: {
-        'Authorization': authToken,
-        'Content-Type': 'application/json'
-      },
-      body: {
-        bucketId: bucketId
-      },
-      json: true
-    });
-  } catch (err) {
-    throw new Error(`Get upload URL failed: ${err.message}`);
-  }
-
-  const { statusCode, body } = parseResponse(result);
-
-  if (statusCode !== 200) {
-    const errorMsg = body && typeof body === 'object' ? body.message : 'Unknown error';
-    throw new Error(`Failed to get upload URL: ${errorMsg}`);
-  }
-
-  return {
-    uploadUrl: body.uploadUrl,
-    uploadAuthToken: body.authorizationToken
-  };
-}
-
-/**
- * Upload file to B2
- * @param {string} uploadUrl 
- * @param {string} uploadAuthToken 
- * @param {Buffer} fileBuffer 
- * @param {string} fileName 
- * @param {string} contentType 
- * @param {Object} request - PicGo's request utility
- * @param {Object} log - PicGo's logger
- * @returns {Promise<Object>}
+ * @param {DedupeIndex} dedupeIndex 
+ * @param {string} uploadFileName - the key this upload would use
+ * @param {string} contentSha1 
+ * @param {boolean} contentAddressed 
+ * @returns {Promise<Object|null>} B2 file object, or null
  */
-async function uploadFile(uploadUrl, uploadAuthToken, fileBuffer, fileName, contentType, request, log) {
-  const fileSha1 = sha1(fileBuffer);
-  
-  log.info(`[B2] Uploading ${fileName} (${(fileBuffer.length / 1024).toFixed(2)} KB)...`);
-  
-  let result;
-  try {
-    result = await request({
-      method: 'POST',
-      url: uploadUrl,
-      headers: {
-        'Authorization': uploadAuthToken,
-        'X-Bz-File-Name': encodeURIComponent(fileName),
-        'Content-Type': contentType || 'application/octet-stream',
-        'X-Bz-Content-Sha1': fileSha1,
-        'Content-Length': fileBuffer.length
-      },
-      body: fileBuffer,
-      json: true
-    });
-  } catch (err) {
-    throw new Error(`Upload failed: ${err.message}`);
+async function findDuplicate(client, bucketId, dedupeIndex, uploadFileName, contentSha1, contentAddressed) {
+  const candidate = contentAddressed ? uploadFileName : dedupeIndex.get(bucketId, contentSha1)?.fileName;
+  if (!candidate) {
+    return null;
   }
 
-  const { statusCode, body } = parseResponse(result, log);
-
-  if (statusCode !== 200) {
-    const errorMsg = body && typeof body === 'object' ? body.message : 'Unknown error';
-    throw new Error(`Upload failed: ${errorMsg}`);
+  const file = await client.getFileByName(bucketId, candidate);
+  if (file && getContentSha1(file) === contentSha1) {
+    return file;
   }
-
-  return body;
-}
-
-/**
- * Build public URL for uploaded file
- * @param {string} downloadUrl 
- * @param {string} bucketName 
- * @param {string} fileName 
- * @param {string} customDomain 
- * @returns {string}
- */
-function buildFileUrl(downloadUrl, bucketName, fileName, customDomain) {
-  if (customDomain) {
-    const domain = customDomain.endsWith('/') ? customDomain.slice(0, -1) : customDomain;
-    return `${domain}/${encodeURIComponent(fileName)}`;
+  if (!contentAddressed) {
+    // Indexed file was deleted or replaced on B2
+    dedupeIndex.delete(bucketId, contentSha1);
   }
-  return `${downloadUrl}/file/${bucketName}/${encodeURIComponent(fileName)}`;
+  return null;
 }
 
 /**
@@ -256,81 +101,151 @@ const handle = async (ctx) => {
   const { 
     applicationKeyId, 
     applicationKey, 
-    bucketId, 
-    bucketName,
-    customDomain,
-    pathPrefix = ''
+    pathPrefix = '',
+    keyTemplate = '',
+    dedupe = false
   } = config;
 
-  if (!applicationKeyId || !applicationKey || !bucketId || !bucketName) {
+  const uploadConcurrency = getUploadConcurrency(config);
+  const uploadOptions = getUploadOptions(config);
+
+  if (!applicationKeyId || !applicationKey || (!config.bucketId && !config.bucketName)) {
     ctx.emit('notification', {
       title: 'B2 Upload Error',
-      body: 'Missing required configuration: applicationKeyId, applicationKey, bucketId, or bucketName'
+      body: 'Missing required configuration: applicationKeyId, applicationKey, and bucketName or bucketId'
     });
     throw new Error('Missing required B2 configuration');
   }
 
-  try {
-    // Step 1: Authorize account
-    const auth = await authorizeAccount(applicationKeyId, applicationKey, ctx.request, ctx.log);
-
-    // Step 2: Get upload URL
-    const uploadInfo = await getUploadUrl(auth.apiUrl, auth.authToken, bucketId, ctx.request, ctx.log);
+  const client = createClient(ctx, config);
 
-    // Step 3: Upload each file
+  try {
+    // Catch URL template, content type, file info and encryption mistakes before anything is uploaded
+    validateUrlTemplate(config.urlTemplate);
+    const customContentTypes = parseContentTypeMap(config.contentTypes);
+    const fileInfoTemplates = getFileInfoTemplates(config);
+    const encryption = getEncryption(config);
+    assertServableUrls(encryption, config);
+
+    // Step 1: Authorize account (cached across uploads) and fill in a missing bucket ID or name
+    const auth = await client.authorize();
+    const bucket = await resolveBucket(client, config);
+    if (bucket.bucketId !== config.bucketId || bucket.bucketName !== config.bucketName) {
+      ctx.saveConfig({
+        'picBed.b2.bucketId': bucket.bucketId,
+        'picBed.b2.bucketName': bucket.bucketName
+      });
+      ctx.log.info(`[B2] Resolved bucket "${bucket.bucketName}" (${bucket.bucketId}) and saved it to the settings`);
+    }
+    const { bucketId } = bucket;
+    const bucketConfig = { ...config, ...bucket };
+    // B2 rejects uploads outside the key's bucket or namePrefix with a bare "unauthorized"
+    assertBucketAllowed(auth.allowed, bucket);
+
+    // Step 2: Upload files with bounded concurrency
+    // Every in-flight upload takes its own upload URL from the cache, as B2 requires;
+    // each result is written back to its own output item so the order is kept
     const output = ctx.output;
-    for (let i = 0; i < output.length; i++) {
-      const item = output[i];
-      const buffer = item.buffer;
+    const uploadDate = new Date();
+    const dedupeIndex = dedupe ? new DedupeIndex(getDefaultIndexPath(ctx)) : null;
+    const contentAddressed = isContentAddressed(keyTemplate);
+    await mapWithConcurrency(output, uploadConcurrency, async (item, index) => {
+      let buffer = item.buffer;
       const fileName = item.fileName;
-      
+
       if (!buffer) {
         ctx.log.error(`[B2] No buffer found for file: ${fileName}`);
-        continue;
+        return;
       }
 
-      // Generate unique filename with optional path prefix
-      let uploadFileName = generateUniqueFileName(fileName);
+      // Strip EXIF/XMP/IPTC metadata first, so hashes, dedupe and SHA1 all see the cleaned file
+      if (config.stripMetadata) {
+        const stripped = stripMetadata(buffer, { keepOrientation: config.keepOrientation });
+        buffer = stripped.buffer;
+        ctx.log.info(`[B2] Removed ${stripped.removed} bytes of metadata from ${fileName}`);
+      }
+
+      // Generate the object key from the key template, with optional path prefix
+      let uploadFileName = renderKeyTemplate(keyTemplate, {
+        fileName,
+        buffer,
+        date: uploadDate,
+        counter: index + 1
+      });
       if (pathPrefix) {
         const prefix = pathPrefix.endsWith('/') ? pathPrefix : `${pathPrefix}/`;
         uploadFileName = prefix + uploadFileName;
+        validateFileName(uploadFileName);
+      }
+      const allowedFileName = applyNamePrefix(uploadFileName, auth.allowed, config.autoNamePrefix);
+      if (allowedFileName !== uploadFileName) {
+        ctx.log.info(`[B2] Prepended the application key's namePrefix "${auth.allowed.namePrefix}" to ${uploadFileName}`);
+        uploadFileName = allowedFileName;
+        validateFileName(uploadFileName);
       }
 
       ctx.log.info(`[B2] Preparing to upload: ${uploadFileName}`);
 
-      // Determine content type from file extension
-      const ext = item.extname?.toLowerCase() || '';
-      const contentTypeMap = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.webp': 'image/webp',
-        '.svg': 'image/svg+xml',
-        '.bmp': 'image/bmp',
-        '.ico': 'image/x-icon'
-      };
-      const contentType = contentTypeMap[ext] || 'application/octet-stream';
-
-      // Upload the file
-      const uploadResult = await uploadFile(
-        uploadInfo.uploadUrl,
-        uploadInfo.uploadAuthToken,
+      // Determine content type from the file's magic bytes, falling back to its extension
+      const { contentType, detected, byExtension, mismatch } = resolveContentType(
         buffer,
-        uploadFileName,
-        contentType,
-        ctx.request,
-        ctx.log
+        item.extname || path.extname(fileName || ''),
+        customContentTypes
       );
+      if (mismatch) {
+        ctx.log.warn(`[B2] ${fileName} looks like ${detected} but its extension suggests ${byExtension}; using ${detected}`);
+      }
+
+      // Reuse an existing file with the same content instead of uploading again
+      const contentSha1 = dedupe ? sha1(buffer) : null;
+      if (dedupe) {
+        const existing = await findDuplicate(client, bucketId, dedupeIndex, uploadFileName, contentSha1, contentAddressed);
+        if (existing) {
+          const existingUrl = await resolveFileUrl(client, bucketConfig, existing);
+          item.imgUrl = existingUrl;
+          item.url = existingUrl;
+          // Other gallery items may point to the same file; the remove listener checks before deleting it
+          item.b2 = { ...describeFile(existing, bucketId, existing.fileName, config.activeProfile), reused: true };
+          ctx.log.info(`[B2] Reused existing file with the same SHA1 (no upload): ${existingUrl}`);
+          return;
+        }
+      }
 
-      // Build file URL
-      const fileUrl = buildFileUrl(auth.downloadUrl, bucketName, uploadFileName, customDomain);
+      // Custom file info (X-Bz-Info-* headers), e.g. b2-cache-control
+      const fileInfo = renderFileInfo(fileInfoTemplates, {
+        originalName: fileName,
+        fileName: uploadFileName,
+        buffer,
+        contentType,
+        date: uploadDate
+      });
+
+      // Upload the file (large files go through the large file API)
+      const uploadResult = await client.upload(bucketId, buffer, uploadFileName, contentType, {
+        ...uploadOptions,
+        fileInfo,
+        encryption
+      });
+
+      if (dedupeIndex && !contentAddressed) {
+        dedupeIndex.set(bucketId, contentSha1, {
+          fileName: uploadFileName,
+          fileId: uploadResult && uploadResult.fileId
+        });
+      }
+
+      // Build file URL (signed with a download authorization for private buckets)
+      const fileUrl = await resolveFileUrl(client, bucketConfig, {
+        fileName: uploadFileName,
+        fileId: uploadResult && uploadResult.fileId
+      });
 
       item.imgUrl = fileUrl;
       item.url = fileUrl;
+      item.b2 = describeFile(uploadResult, bucketId, uploadFileName, config.activeProfile);
 
-      ctx.log.info(`[B2] Successfully uploaded: ${fileUrl}`);
-    }
+      ctx.log.info(`[B2] Successfully uploaded${dedupe ? ' (new file)' : ''}: ${fileUrl}`);
+    });
 
     return ctx;
   } catch (err) {
@@ -373,16 +288,16 @@ const config = (ctx) => {
       type: 'input',
       alias: 'Bucket ID',
       default: userConfig.bucketId || '',
-      required: true,
-      message: 'Your B2 Bucket ID'
+      required: false,
+      message: 'Your B2 Bucket ID (looked up from the Bucket Name when empty)'
     },
     {
       name: 'bucketName',
       type: 'input',
       alias: 'Bucket Name',
       default: userConfig.bucketName || '',
-      required: true,
-      message: 'Your B2 Bucket Name'
+      required: false,
+      message: 'Your B2 Bucket Name (looked up from the Bucket ID when empty)'
     },
     {
       name: 'customDomain',
@@ -392,6 +307,22 @@ const config = (ctx) => {
       required: false,
       message: 'Custom domain for file URLs (e.g., https://cdn.example.com)'
     },
+    {
+      name: 'urlTemplate',
+      type: 'input',
+      alias: 'URL Template',
+      default: userConfig.urlTemplate || '',
+      required: false,
+      message: 'Optional, e.g. {domain}/file/{bucket}/{path}; placeholders: {domain} {bucket} {path} {fileId} {ext}'
+    },
+    {
+      name: 'urlSuffix',
+      type: 'input',
+      alias: 'URL Suffix',
+      default: userConfig.urlSuffix || '',
+      required: false,
+      message: 'Optional, appended to every URL, e.g. ?width=800'
+    },
     {
       name: 'pathPrefix',
       type: 'input',
@@ -399,6 +330,184 @@ const config = (ctx) => {
       default: userConfig.pathPrefix || '',
       required: false,
       message: 'Path prefix for uploaded files (e.g., images/2024)'
+    },
+    {
+      name: 'autoNamePrefix',
+      type: 'confirm',
+      alias: 'Auto Name Prefix',
+      default: userConfig.autoNamePrefix || false,
+      required: false,
+      message: 'Prepend the namePrefix an application key is restricted to when a file name lacks it'
+    },
+    {
+      name: 'contentTypes',
+      type: 'input',
+      alias: 'Custom Content Types',
+      default: userConfig.contentTypes || '',
+      required: false,
+      message: 'Optional extension mappings, e.g. .md=text/markdown; .glb=model/gltf-binary'
+    },
+    {
+      name: 'cacheControl',
+      type: 'input',
+      alias: 'Cache-Control',
+      default: userConfig.cacheControl || '',
+      required: false,
+      message: 'Optional, e.g. public, max-age=31536000, immutable'
+    },
+    {
+      name: 'contentDisposition',
+      type: 'input',
+      alias: 'Content-Disposition',
+      default: userConfig.contentDisposition || '',
+      required: false,
+      message: 'Optional, e.g. inline; filename="{originalName}"'
+    },
+    {
+      name: 'contentLanguage',
+      type: 'input',
+      alias: 'Content-Language',
+      default: userConfig.contentLanguage || '',
+      required: false,
+      message: 'Optional, e.g. zh-CN'
+    },
+    {
+      name: 'expires',
+      type: 'input',
+      alias: 'Expires',
+      default: userConfig.expires || '',
+      required: false,
+      message: 'Optional HTTP date, e.g. Wed, 01 Jan 2031 00:00:00 GMT'
+    },
+    {
+      name: 'fileInfo',
+      type: 'input',
+      alias: 'Custom File Info',
+      default: userConfig.fileInfo || '',
+      required: false,
+      message: 'Optional name=value pairs separated by ;, e.g. original-name={originalName}; source=picgo'
+    },
+    {
+      name: 'encryption',
+      type: 'list',
+      alias: 'Server-Side Encryption',
+      choices: ENCRYPTION_MODES,
+      default: userConfig.encryption || 'none',
+      required: false,
+      message: 'none, SSE-B2 (B2-managed keys) or SSE-C (your own key, requires a Custom Domain that adds the key headers)'
+    },
+    {
+      name: 'sseCustomerKey',
+      type: 'password',
+      alias: 'SSE-C Customer Key',
+      default: userConfig.sseCustomerKey || '',
+      required: false,
+      message: `Base64-encoded 256-bit key for SSE-C; leave empty to use the ${SSE_C_KEY_ENV} environment variable`
+    },
+    {
+      name: 'privateBucket',
+      type: 'confirm',
+      alias: 'Private Bucket',
+      default: userConfig.privateBucket || false,
+      required: false,
+      message: 'Sign file URLs with a download authorization (for private buckets)'
+    },
+    {
+      name: 'downloadAuthDuration',
+      type: 'input',
+      alias: 'Signed URL Validity (s)',
+      default: userConfig.downloadAuthDuration || String(DEFAULT_DOWNLOAD_AUTH_DURATION),
+      required: false,
+      message: 'Validity of signed URLs for private buckets in seconds, at most 604800 (7 days)'
+    },
+    {
+      name: 'keyTemplate',
+      type: 'input',
+      alias: 'Key Template (Optional)',
+      default: userConfig.keyTemplate || '',
+      required: false,
+      message: 'Object key template, e.g. blog/{year}/{month}/{sha1:8}.{ext} (default: {name}_{timestamp}_{random:6}.{ext})'
+    },
+    {
+      name: 'dedupe',
+      type: 'confirm',
+      alias: 'Deduplicate Uploads',
+      default: userConfig.dedupe || false,
+      required: false,
+      message: 'Reuse an existing file with the same SHA1 instead of uploading again'
+    },
+    {
+      name: 'deletePolicy',
+      type: 'list',
+      alias: 'Delete Policy',
+      choices: DELETE_POLICIES,
+      default: userConfig.deletePolicy || DEFAULT_DELETE_POLICY,
+      required: false,
+      message: 'When deleting from the gallery: latest = delete newest version, all = delete every version, hide = hide only'
+    },
+    {
+      name: 'stripMetadata',
+      type: 'confirm',
+      alias: 'Strip Metadata',
+      default: userConfig.stripMetadata || false,
+      required: false,
+      message: 'Remove EXIF (including GPS), XMP and IPTC metadata from JPEG, PNG and WebP before upload'
+    },
+    {
+      name: 'keepOrientation',
+      type: 'confirm',
+      alias: 'Keep Orientation',
+      default: userConfig.keepOrientation || false,
+      required: false,
+      message: 'Keep the EXIF orientation when stripping metadata'
+    },
+    {
+      name: 'uploadConcurrency',
+      type: 'input',
+      alias: 'Upload Concurrency',
+      default: userConfig.uploadConcurrency || String(DEFAULT_UPLOAD_CONCURRENCY),
+      required: false,
+      message: 'Number of files uploaded in parallel for a batch (default 3)'
+    },
+    {
+      name: 'largeFileThreshold',
+      type: 'input',
+      alias: 'Large File Threshold (MB)',
+      default: userConfig.largeFileThreshold || String(DEFAULT_LARGE_FILE_THRESHOLD_MB),
+      required: false,
+      message: 'Files at or above this size use the B2 large file API (default 100)'
+    },
+    {
+      name: 'partSize',
+      type: 'input',
+      alias: 'Part Size (MB, Optional)',
+      default: userConfig.partSize || '',
+      required: false,
+      message: 'Part size for large files, minimum 5 (default: B2 recommended size)'
+    },
+    {
+      name: 'largeFileConcurrency',
+      type: 'input',
+      alias: 'Large File Concurrency',
+      default: userConfig.largeFileConcurrency || String(DEFAULT_LARGE_FILE_CONCURRENCY),
+      required: false,
+      message: 'Number of parts uploaded in parallel (default 4)'
+    },
+    {
+      name: 'maxAttempts',
+      type: 'input',
+      alias: 'Max Attempts',
+      default: userConfig.maxAttempts || String(DEFAULT_MAX_ATTEMPTS),
+      required: false,
+      message: 'Maximum attempts per request on 503/429 or connection errors (default 5)'
+    },
+    {
+      name: 'requestTimeout',
+      type: 'input',
+      alias: 'Request Timeout (s)',
+      default: userConfig.requestTimeout || String(DEFAULT_REQUEST_TIMEOUT),
+      required: false,
+      message: 'Timeout for a single B2 request in seconds (default 300)'
     }
   ];
 };
@@ -414,6 +523,9 @@ const register = (ctx) => {
     name: 'Backblaze B2'
   });
 
+  // 注册 CLI 命令（picgo b2 ...）
+  cli.register(ctx);
+
   // 注册 GUI 功能（如果有）
   if (guiModule && guiModule.registerRemoveListener) {
     try {
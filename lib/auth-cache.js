@@ -0,0 +1,196 @@
+/**
+ * B2 授权缓存
+ *
+ * index.js 与 gui.js 共享同一份缓存，按授权端点和 Application Key ID 保存
+ * b2_authorize_account 的结果以及空闲的上传 URL，避免每次上传或
+ * 菜单操作都重新授权（每次授权都会产生 Class C 事务费用）。
+ * 同一个 Key ID 切换到其他端点（或其他配置档案的端点）时不会复用另一端点的令牌和 apiUrl。
+ *
+ * B2 授权令牌和上传 URL 的有效期均为 24 小时，这里提前一小时过期。
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_LIFETIME = 24 * 60 * 60 * 1000;
+const EXPIRY_MARGIN = 60 * 60 * 1000;
+const AUTH_TOKEN_ERROR_CODES = ['expired_auth_token', 'bad_auth_token'];
+
+// cacheKey -> { fingerprint, auth, expiresAt, pending, uploadUrls }
+const entries = new Map();
+
+/**
+ * 缓存键: 授权端点 + Application Key ID
+ * @param {string} applicationKeyId
+ * @param {string} apiEndpoint - 授权端点（getApiEndpoint）
+ * @returns {string}
+ */
+function getCacheKey(applicationKeyId, apiEndpoint) {
+  return `${apiEndpoint} ${applicationKeyId}`;
+}
+
+/**
+ * 对密钥做摘要，密钥变更后旧缓存自动失效（不在内存里保存明文比较）
+ * @param {string} applicationKey
+ * @returns {string}
+ */
+function fingerprint(applicationKey) {
+  return crypto.createHash('sha256').update(String(applicationKey)).digest('hex');
+}
+
+function getEntry(cacheKey, applicationKey) {
+  const entry = entries.get(cacheKey);
+  if (entry && entry.fingerprint === fingerprint(applicationKey)) {
+    return entry;
+  }
+  return null;
+}
+
+function isFresh(timestamp) {
+  return Date.now() - timestamp < TOKEN_LIFETIME - EXPIRY_MARGIN;
+}
+
+/**
+ * 判断错误是否是授权令牌失效
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isAuthTokenError(err) {
+  return !!err && AUTH_TOKEN_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * 获取授权信息，缓存有效时直接返回
+ * 并发调用只会触发一次授权请求
+ * @param {string} cacheKey - 缓存键（getCacheKey）
+ * @param {string} applicationKey
+ * @param {Function} authorize - () => Promise<auth>
+ * @returns {Promise<Object>}
+ */
+async function getAuth(cacheKey, applicationKey, authorize) {
+  const cached = getEntry(cacheKey, applicationKey);
+  if (cached) {
+    if (cached.auth && isFresh(cached.authorizedAt)) {
+      return cached.auth;
+    }
+    if (cached.pending) {
+      return cached.pending;
+    }
+  }
+
+  const entry = {
+    fingerprint: fingerprint(applicationKey),
+    auth: null,
+    authorizedAt: 0,
+    pending: null,
+    uploadUrls: new Map()
+  };
+  entries.set(cacheKey, entry);
+
+  entry.pending = (async () => {
+    try {
+      const auth = await authorize();
+      entry.auth = auth;
+      entry.authorizedAt = Date.now();
+      return auth;
+    } catch (err) {
+      if (entries.get(cacheKey) === entry) {
+        entries.delete(cacheKey);
+      }
+      throw err;
+    } finally {
+      entry.pending = null;
+    }
+  })();
+
+  return entry.pending;
+}
+
+/**
+ * 使某个 Key 的缓存失效（包括其上传 URL）
+ * @param {string} cacheKey - 缓存键（getCacheKey）
+ */
+function invalidate(cacheKey) {
+  entries.delete(cacheKey);
+}
+
+/**
+ * 使用缓存的授权执行操作
+ * 若 B2 返回 expired_auth_token / bad_auth_token，重新授权后重试一次
+ * @param {string} cacheKey - 缓存键（getCacheKey）
+ * @param {string} applicationKey
+ * @param {Function} authorize - () => Promise<auth>
+ * @param {Function} operation - (auth) => Promise
+ * @returns {Promise<*>}
+ */
+async function withAuth(cacheKey, applicationKey, authorize, operation) {
+  const auth = await getAuth(cacheKey, applicationKey, authorize);
+  try {
+    return await operation(auth);
+  } catch (err) {
+    if (!isAuthTokenError(err)) {
+      throw err;
+    }
+    const current = getEntry(cacheKey, applicationKey);
+    if (current && current.auth === auth) {
+      invalidate(cacheKey);
+    }
+    const freshAuth = await getAuth(cacheKey, applicationKey, authorize);
+    return operation(freshAuth);
+  }
+}
+
+/**
+ * 取出一个空闲的上传 URL（取出后其他上传不会再使用它）
+ * @param {string} cacheKey - 缓存键（getCacheKey）
+ * @param {string} applicationKey
+ * @param {string} bucketId
+ * @returns {Object|null} { uploadUrl, uploadAuthToken }
+ */
+function takeUploadUrl(cacheKey, applicationKey, bucketId) {
+  const entry = getEntry(cacheKey, applicationKey);
+  const pool = entry && entry.uploadUrls.get(bucketId);
+  while (pool && pool.length > 0) {
+    const item = pool.pop();
+    if (isFresh(item.obtainedAt)) {
+      return item.info;
+    }
+  }
+  return null;
+}
+
+/**
+ * 上传成功后归还上传 URL，供后续上传复用
+ * 上传失败时不要归还，B2 建议失败后换用新的上传 URL
+ * @param {string} cacheKey - 缓存键（getCacheKey）
+ * @param {string} applicationKey
+ * @param {string} bucketId
+ * @param {Object} info - { uploadUrl, uploadAuthToken, obtainedAt }
+ */
+function releaseUploadUrl(cacheKey, applicationKey, bucketId, info) {
+  const entry = getEntry(cacheKey, applicationKey);
+  if (!entry || !info || !isFresh(info.obtainedAt || 0)) {
+    return;
+  }
+  if (!entry.uploadUrls.has(bucketId)) {
+    entry.uploadUrls.set(bucketId, []);
+  }
+  entry.uploadUrls.get(bucketId).push({ info, obtainedAt: info.obtainedAt });
+}
+
+/**
+ * 清空全部缓存
+ */
+function clear() {
+  entries.clear();
+}
+
+module.exports = {
+  getCacheKey,
+  getAuth,
+  withAuth,
+  invalidate,
+  isAuthTokenError,
+  takeUploadUrl,
+  releaseUploadUrl,
+  clear
+};
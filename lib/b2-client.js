@@ -0,0 +1,658 @@
+/**
+ * Backblaze B2 API client
+ *
+ * Shared by the uploader (index.js) and the GUI features (gui.js).
+ * Every call goes through the shared authorization cache, is retried with
+ * backoff on 503/429/connection errors, and fails with a typed B2Error.
+ */
+
+const crypto = require('crypto');
+const authCache = require('./auth-cache');
+const { withRetry, isRetryable, needsNewUploadUrl, DEFAULT_MAX_ATTEMPTS } = require('./retry');
+const { mapWithConcurrency } = require('./concurrency');
+const { getApiEndpoint, getAuthorizeUrl } = require('./endpoint');
+const { httpTransport } = require('./transport');
+const { B2ResponseError, createB2Error, createNetworkError } = require('./errors');
+const { toPositiveNumber } = require('./config');
+const { getEncryptionHeaders } = require('./encryption');
+
+// B2 要求大文件至少两个分片，且每个分片（最后一个除外）不小于 5 MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MB = 1024 * 1024;
+const DEFAULT_PART_SIZE = 100 * MB;
+// 单个请求超时时间（秒）
+const DEFAULT_REQUEST_TIMEOUT = 300;
+// 列出文件时每页的数量（B2 单次请求的上限）
+const LIST_PAGE_SIZE = 1000;
+
+const noopLog = { info() {}, warn() {}, error() {} };
+
+/**
+ * Calculate SHA1 hash of buffer
+ * @param {Buffer} buffer
+ * @returns {string} SHA1 hash in hex
+ */
+function sha1(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+/**
+ * Calculate the part size for a large file
+ * Honors the configured size, but never goes below B2's minimum and
+ * always yields at least two parts.
+ * @param {number} fileSize
+ * @param {number} preferredPartSize
+ * @param {number} minPartSize
+ * @returns {number}
+ */
+function calculatePartSize(fileSize, preferredPartSize, minPartSize) {
+  const half = Math.ceil(fileSize / 2);
+  return Math.max(minPartSize, Math.min(preferredPartSize, half));
+}
+
+/**
+ * 授权结果中的最小分片大小
+ */
+function getMinPartSize(auth) {
+  return auth.absoluteMinimumPartSize || MIN_PART_SIZE;
+}
+
+function ensureObject(prefix, body) {
+  if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) {
+    throw new B2ResponseError(`${prefix}: response is empty or invalid`);
+  }
+  return body;
+}
+
+class B2Client {
+  /**
+   * @param {Object} options
+   * @param {string} options.applicationKeyId
+   * @param {string} options.applicationKey
+   * @param {string} options.apiEndpoint - optional, see lib/endpoint.js
+   * @param {Function} options.transport - see lib/transport.js, defaults to httpTransport
+   * @param {Object} options.log - PicGo's logger
+   * @param {Object} options.retryOptions - { maxAttempts }
+   * @param {number} options.timeout - timeout for a single request in ms
+   */
+  constructor(options) {
+    this.applicationKeyId = options.applicationKeyId;
+    this.applicationKey = options.applicationKey;
+    this.apiEndpoint = options.apiEndpoint;
+    this.transport = options.transport || httpTransport;
+    this.log = options.log || noopLog;
+    this.retryOptions = { maxAttempts: DEFAULT_MAX_ATTEMPTS, ...(options.retryOptions || {}) };
+    this.timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT * 1000;
+  }
+
+  /**
+   * Create a client from the picBed.b2 config
+   * Reads the key, API endpoint, maxAttempts and requestTimeout settings
+   * @param {Object} config - picBed.b2 config
+   * @param {Object} options - { transport, log }
+   * @returns {B2Client}
+   */
+  static fromConfig(config, options = {}) {
+    return new B2Client({
+      applicationKeyId: config.applicationKeyId,
+      applicationKey: config.applicationKey,
+      apiEndpoint: config.apiEndpoint,
+      transport: options.transport,
+      log: options.log,
+      retryOptions: {
+        maxAttempts: Math.floor(toPositiveNumber(config.maxAttempts, DEFAULT_MAX_ATTEMPTS))
+      },
+      timeout: toPositiveNumber(config.requestTimeout, DEFAULT_REQUEST_TIMEOUT) * 1000
+    });
+  }
+
+  /**
+   * Send a request and return the JSON body of a 200 response
+   * @param {string} prefix - describes the operation in error messages
+   * @param {Object} options - transport options
+   * @returns {Promise<*>}
+   */
+  async send(prefix, options) {
+    let response;
+    try {
+      response = await this.transport({ timeout: this.timeout, ...options });
+    } catch (err) {
+      throw createNetworkError(prefix, err);
+    }
+    if (response.status !== 200) {
+      throw createB2Error(prefix, response);
+    }
+    return response.body;
+  }
+
+  /**
+   * Key of this client's entry in the authorization cache (endpoint and key ID)
+   * @returns {string}
+   */
+  get cacheKey() {
+    return authCache.getCacheKey(this.applicationKeyId, getApiEndpoint({ apiEndpoint: this.apiEndpoint }));
+  }
+
+  /**
+   * Authorize with B2 (cached across clients with the same endpoint and key ID)
+   * @returns {Promise<Object>} { apiUrl, authToken, downloadUrl, accountId, allowed, recommendedPartSize, absoluteMinimumPartSize }
+   */
+  authorize() {
+    return authCache.getAuth(this.cacheKey, this.applicationKey, () => this.authorizeAccountWithRetry());
+  }
+
+  /**
+   * Call b2_authorize_account with retries, bypassing the cache
+   * @returns {Promise<Object>}
+   */
+  authorizeAccountWithRetry() {
+    return withRetry(() => this.authorizeAccount(), this.retryOptions);
+  }
+
+  /**
+   * Call b2_authorize_account, bypassing the cache
+   * @returns {Promise<Object>}
+   */
+  async authorizeAccount() {
+    const authString = Buffer.from(`${this.applicationKeyId}:${this.applicationKey}`).toString('base64');
+
+    this.log.info('[B2] Authorizing...');
+
+    const body = ensureObject('Authorization failed', await this.send('Authorization failed', {
+      method: 'GET',
+      url: getAuthorizeUrl({ apiEndpoint: this.apiEndpoint }),
+      headers: {
+        'Authorization': `Basic ${authString}`
+      }
+    }));
+
+    // B2 API v4 structure: apiInfo.storageApi.{apiUrl,downloadUrl,allowed}
+    const storageApi = body.apiInfo?.storageApi || {};
+    if (!storageApi.apiUrl || !body.authorizationToken) {
+      throw new B2ResponseError('Authorization response missing apiUrl or authorizationToken');
+    }
+
+    return {
+      accountId: body.accountId,
+      apiUrl: storageApi.apiUrl,
+      authToken: body.authorizationToken,
+      downloadUrl: storageApi.downloadUrl || storageApi.apiUrl,
+      recommendedPartSize: storageApi.recommendedPartSize,
+      absoluteMinimumPartSize: storageApi.absoluteMinimumPartSize,
+      allowed: storageApi.allowed || body.allowed
+    };
+  }
+
+  /**
+   * Call a B2 JSON API with the cached authorization
+   * Expired tokens are refreshed and retryable failures retried with backoff
+   * @param {string} apiName - e.g. b2_list_file_names
+   * @param {Object} body
+   * @param {string} prefix - describes the operation in error messages
+   * @param {Object} retryOptions - defaults to the client's retry options
+   * @returns {Promise<Object>}
+   */
+  call(apiName, body, prefix, retryOptions = this.retryOptions) {
+    return authCache.withAuth(this.cacheKey, this.applicationKey, () => this.authorizeAccountWithRetry(),
+      (auth) => withRetry(async () => ensureObject(prefix, await this.send(prefix, {
+        method: 'POST',
+        url: `${auth.apiUrl}/b2api/v4/${apiName}`,
+        headers: {
+          'Authorization': auth.authToken,
+          'Content-Type': 'application/json'
+        },
+        body
+      })), retryOptions));
+  }
+
+  /**
+   * Get upload URL for a bucket
+   * @param {string} bucketId
+   * @returns {Promise<Object>} { uploadUrl, uploadAuthToken, obtainedAt }
+   */
+  async getUploadUrl(bucketId) {
+    const body = await this.call('b2_get_upload_url', { bucketId }, 'Failed to get upload URL');
+    return {
+      uploadUrl: body.uploadUrl,
+      uploadAuthToken: body.authorizationToken,
+      obtainedAt: Date.now()
+    };
+  }
+
+  /**
+   * Upload file to an upload URL (single attempt)
+   * @param {Object} uploadInfo - { uploadUrl, uploadAuthToken }
+   * @param {Buffer} fileBuffer
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} options - { fileInfo, encryption }; fileInfo is sent as X-Bz-Info-* headers
+   * @returns {Promise<Object>} B2 file object
+   */
+  async uploadFile(uploadInfo, fileBuffer, fileName, contentType, options = {}) {
+    this.log.info(`[B2] Uploading ${fileName} (${(fileBuffer.length / 1024).toFixed(2)} KB)...`);
+
+    const infoHeaders = {};
+    for (const [name, value] of Object.entries(options.fileInfo || {})) {
+      infoHeaders[`X-Bz-Info-${name}`] = encodeURIComponent(value);
+    }
+
+    return ensureObject('Upload failed', await this.send('Upload failed', {
+      method: 'POST',
+      url: uploadInfo.uploadUrl,
+      headers: {
+        'Authorization': uploadInfo.uploadAuthToken,
+        'X-Bz-File-Name': encodeURIComponent(fileName),
+        'Content-Type': contentType || 'application/octet-stream',
+        'X-Bz-Content-Sha1': sha1(fileBuffer),
+        'Content-Length': fileBuffer.length,
+        ...infoHeaders,
+        ...getEncryptionHeaders(options.encryption)
+      },
+      body: fileBuffer
+    }));
+  }
+
+  /**
+   * Get an upload URL, reusing an idle one from the auth cache unless `fresh` is set
+   * @param {string} bucketId
+   * @param {boolean} fresh
+   * @returns {Promise<Object>}
+   */
+  async acquireUploadUrl(bucketId, fresh) {
+    if (!fresh) {
+      const cached = authCache.takeUploadUrl(this.cacheKey, this.applicationKey, bucketId);
+      if (cached) {
+        return cached;
+      }
+    }
+    return this.getUploadUrl(bucketId);
+  }
+
+  /**
+   * Retry options for uploading files and parts
+   * Expired auth tokens are retried too; when the upload URL is no longer usable
+   * (503, timeouts, expired upload tokens) dropUploadUrl is called first.
+   * @param {Function} dropUploadUrl - forgets the current upload URL so the next attempt gets a new one
+   * @returns {Object} options for withRetry
+   */
+  uploadRetryOptions(dropUploadUrl) {
+    return {
+      ...this.retryOptions,
+      shouldRetry: (err) => isRetryable(err) || authCache.isAuthTokenError(err),
+      onRetry: (err, attempt, delay) => {
+        if (needsNewUploadUrl(err) || authCache.isAuthTokenError(err)) {
+          dropUploadUrl();
+        }
+        this.log.warn(`[B2] ${err.message}, retrying in ${Math.round(delay)} ms (attempt ${attempt + 1}/${this.retryOptions.maxAttempts})...`);
+      }
+    };
+  }
+
+  /**
+   * Upload a file with a cached upload URL
+   * Failed uploads are retried with backoff. On 503, timeouts, connection errors
+   * and expired upload tokens a fresh upload URL is fetched before retrying;
+   * on 429 the same upload URL is reused after waiting. The upload URL is
+   * returned to the cache on success.
+   * @param {string} bucketId
+   * @param {Buffer} fileBuffer
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} options - { fileInfo, encryption }
+   * @returns {Promise<Object>} B2 file object
+   */
+  async uploadSmallFile(bucketId, fileBuffer, fileName, contentType, options = {}) {
+    let uploadInfo = null;
+    let fresh = false;
+
+    const result = await withRetry(async () => {
+      if (!uploadInfo) {
+        uploadInfo = await this.acquireUploadUrl(bucketId, fresh);
+      }
+      return this.uploadFile(uploadInfo, fileBuffer, fileName, contentType, options);
+    }, this.uploadRetryOptions(() => {
+      uploadInfo = null;
+      fresh = true;
+    }));
+
+    authCache.releaseUploadUrl(this.cacheKey, this.applicationKey, bucketId, uploadInfo);
+    return result;
+  }
+
+  /**
+   * Start a large file upload
+   * @param {string} bucketId
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} fileInfo - custom file info (e.g. large_file_sha1)
+   * @param {Object|null} encryption - B2 serverSideEncryption settings
+   * @returns {Promise<Object>} B2 file object, including fileId
+   */
+  async startLargeFile(bucketId, fileName, contentType, fileInfo, encryption) {
+    const body = await this.call('b2_start_large_file', {
+      bucketId,
+      fileName,
+      contentType: contentType || 'application/octet-stream',
+      fileInfo,
+      ...(encryption ? { serverSideEncryption: encryption } : {})
+    }, 'Failed to start large file');
+    if (!body.fileId) {
+      throw new B2ResponseError('Failed to start large file: response missing fileId');
+    }
+    return body;
+  }
+
+  /**
+   * Get upload URL for parts of a large file
+   * @param {string} fileId
+   * @returns {Promise<Object>} { uploadUrl, uploadAuthToken }
+   */
+  async getUploadPartUrl(fileId) {
+    const body = await this.call('b2_get_upload_part_url', { fileId }, 'Failed to get upload part URL');
+    return {
+      uploadUrl: body.uploadUrl,
+      uploadAuthToken: body.authorizationToken
+    };
+  }
+
+  /**
+   * Upload a single part of a large file (single attempt)
+   * @param {Object} partInfo - { uploadUrl, uploadAuthToken }
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} partBuffer
+   * @param {Object|null} encryption - SSE-C parts carry the customer key
+   * @returns {Promise<string>} SHA1 of the part
+   */
+  async uploadPart(partInfo, partNumber, partBuffer, encryption) {
+    const partSha1 = sha1(partBuffer);
+
+    this.log.info(`[B2] Uploading part ${partNumber} (${(partBuffer.length / MB).toFixed(2)} MB)...`);
+
+    await this.send(`Upload part ${partNumber} failed`, {
+      method: 'POST',
+      url: partInfo.uploadUrl,
+      headers: {
+        'Authorization': partInfo.uploadAuthToken,
+        'X-Bz-Part-Number': partNumber,
+        'X-Bz-Content-Sha1': partSha1,
+        'Content-Length': partBuffer.length,
+        ...getEncryptionHeaders(encryption, true)
+      },
+      body: partBuffer
+    });
+
+    return partSha1;
+  }
+
+  /**
+   * Finish a large file upload
+   * Not retried: when the response is lost after B2 has finished the file, a retry
+   * fails on the finished file; uploadLargeFile looks the file up instead.
+   * @param {string} fileId
+   * @param {Array<string>} partSha1Array - SHA1 of each part, in part order
+   * @returns {Promise<Object>} B2 file object
+   */
+  finishLargeFile(fileId, partSha1Array) {
+    return this.call('b2_finish_large_file', { fileId, partSha1Array }, 'Failed to finish large file',
+      { ...this.retryOptions, maxAttempts: 1 });
+  }
+
+  /**
+   * 查找已完成的大文件（未完成的大文件在版本列表中的 action 为 start）
+   * @returns {Promise<Object|null>} B2 文件对象
+   */
+  async findFinishedLargeFile(bucketId, largeFile) {
+    const { files } = await this.listFileVersions({
+      bucketId,
+      prefix: largeFile.fileName,
+      startFileName: largeFile.fileName,
+      startFileId: largeFile.fileId,
+      maxFileCount: 1
+    });
+    const file = files[0];
+    return file && file.fileId === largeFile.fileId && file.action === 'upload' ? file : null;
+  }
+
+  /**
+   * Cancel an unfinished large file and discard its uploaded parts
+   * @param {string} fileId
+   * @returns {Promise<Object>}
+   */
+  cancelLargeFile(fileId) {
+    return this.call('b2_cancel_large_file', { fileId }, 'Failed to cancel large file');
+  }
+
+  /**
+   * Upload file to B2 with the large file API
+   * Parts are uploaded in parallel, each worker with its own part upload URL.
+   * On failure the unfinished large file is cancelled so no parts are left behind.
+   * @param {string} bucketId
+   * @param {Buffer} fileBuffer
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} options - { partSize, concurrency, fileInfo, encryption }
+   * @returns {Promise<Object>} B2 file object
+   */
+  async uploadLargeFile(bucketId, fileBuffer, fileName, contentType, options = {}) {
+    const auth = await this.authorize();
+    const minPartSize = getMinPartSize(auth);
+    const preferredPartSize = options.partSize || auth.recommendedPartSize || DEFAULT_PART_SIZE;
+    const partSize = calculatePartSize(fileBuffer.length, preferredPartSize, minPartSize);
+
+    const parts = [];
+    for (let offset = 0; offset < fileBuffer.length; offset += partSize) {
+      parts.push(fileBuffer.subarray(offset, Math.min(offset + partSize, fileBuffer.length)));
+    }
+
+    this.log.info(`[B2] Uploading ${fileName} as large file (${(fileBuffer.length / MB).toFixed(2)} MB, ${parts.length} parts)...`);
+
+    const largeFile = await this.startLargeFile(bucketId, fileName, contentType, {
+      ...options.fileInfo,
+      large_file_sha1: sha1(fileBuffer)
+    }, options.encryption);
+
+    let partSha1Array;
+    try {
+      // B2 要求每个并发线程使用独立的分片上传 URL
+      const partUrls = [];
+      partSha1Array = await mapWithConcurrency(parts, options.concurrency || 1, (part, index, workerIndex) => withRetry(async () => {
+        if (!partUrls[workerIndex]) {
+          partUrls[workerIndex] = await this.getUploadPartUrl(largeFile.fileId);
+        }
+        return this.uploadPart(partUrls[workerIndex], index + 1, part, options.encryption);
+      }, this.uploadRetryOptions(() => {
+        partUrls[workerIndex] = null;
+      })));
+
+      return await this.finishLargeFile(largeFile.fileId, partSha1Array);
+    } catch (err) {
+      // 所有分片都已上传时，完成请求的响应可能丢失而文件已经完成，此时不能取消
+      if (partSha1Array) {
+        const finished = await this.findFinishedLargeFile(bucketId, largeFile).catch(() => null);
+        if (finished) {
+          this.log.warn(`[B2] ${err.message}, but ${fileName} was finished`);
+          return finished;
+        }
+      }
+      this.log.warn(`[B2] Large file upload failed, cancelling ${largeFile.fileId}...`);
+      try {
+        await this.cancelLargeFile(largeFile.fileId);
+      } catch (cancelErr) {
+        this.log.error(`[B2] ${cancelErr.message}`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Upload a buffer, using the large file API at or above the threshold
+   * @param {string} bucketId
+   * @param {Buffer} fileBuffer
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} options - { largeFileThreshold, partSize, concurrency, fileInfo, encryption }
+   * @returns {Promise<Object>} B2 file object
+   */
+  async upload(bucketId, fileBuffer, fileName, contentType, options = {}) {
+    const threshold = options.largeFileThreshold || Infinity;
+    if (fileBuffer.length >= threshold && fileBuffer.length >= 2 * getMinPartSize(await this.authorize())) {
+      return this.uploadLargeFile(bucketId, fileBuffer, fileName, contentType, options);
+    }
+    return this.uploadSmallFile(bucketId, fileBuffer, fileName, contentType, options);
+  }
+
+  /**
+   * List the buckets in the account
+   * @param {Object} filter - optional { bucketId } or { bucketName }
+   * @returns {Promise<Array<Object>>} B2 bucket objects
+   */
+  async listBuckets(filter = {}) {
+    const auth = await this.authorize();
+    const body = await this.call('b2_list_buckets', { accountId: auth.accountId, ...filter }, 'Failed to list buckets');
+    return Array.isArray(body.buckets) ? body.buckets : [];
+  }
+
+  /**
+   * List file names in a bucket (one page)
+   * @param {Object} params - { bucketId, prefix, startFileName, maxFileCount, delimiter }
+   * @returns {Promise<Object>} { files, nextFileName }
+   */
+  async listFileNames(params) {
+    const body = await this.call('b2_list_file_names', params, 'Failed to list file names');
+    return {
+      files: Array.isArray(body.files) ? body.files : [],
+      nextFileName: body.nextFileName || null
+    };
+  }
+
+  /**
+   * List every file name under a prefix, following pagination
+   * @param {Object} params - { bucketId, prefix, delimiter }
+   * @returns {Promise<Array<Object>>} latest versions, plus folder entries when a delimiter is given
+   */
+  async listAllFileNames(params) {
+    const files = [];
+    let startFileName = null;
+    do {
+      const page = await this.listFileNames({
+        ...params,
+        prefix: params.prefix || '',
+        maxFileCount: LIST_PAGE_SIZE,
+        ...(startFileName ? { startFileName } : {})
+      });
+      files.push(...page.files);
+      startFileName = page.nextFileName;
+    } while (startFileName);
+    return files;
+  }
+
+  /**
+   * Find the latest version of a file by its exact name
+   * @param {string} bucketId
+   * @param {string} fileName
+   * @returns {Promise<Object|null>} B2 file object, or null if not found
+   */
+  async getFileByName(bucketId, fileName) {
+    const { files } = await this.listFileNames({
+      bucketId,
+      startFileName: fileName,
+      prefix: fileName,
+      maxFileCount: 1
+    });
+    return files.find(f => f.fileName === fileName && (!f.action || f.action === 'upload')) || null;
+  }
+
+  /**
+   * List file versions in a bucket (one page), including hide markers
+   * @param {Object} params - { bucketId, prefix, startFileName, startFileId, maxFileCount, delimiter }
+   * @returns {Promise<Object>} { files, nextFileName, nextFileId }
+   */
+  async listFileVersions(params) {
+    const body = await this.call('b2_list_file_versions', params, 'Failed to list file versions');
+    return {
+      files: Array.isArray(body.files) ? body.files : [],
+      nextFileName: body.nextFileName || null,
+      nextFileId: body.nextFileId || null
+    };
+  }
+
+  /**
+   * List every version of a file by its exact name, following pagination
+   * @param {string} bucketId
+   * @param {string} fileName
+   * @returns {Promise<Array<Object>>} versions, newest first (hide markers included)
+   */
+  async getFileVersions(bucketId, fileName) {
+    const versions = [];
+    let startFileName = fileName;
+    let startFileId;
+
+    while (startFileName === fileName) {
+      const page = await this.listFileVersions({
+        bucketId,
+        prefix: fileName,
+        startFileName,
+        startFileId,
+        maxFileCount: LIST_PAGE_SIZE
+      });
+      versions.push(...page.files.filter(f => f.fileName === fileName));
+      startFileName = page.nextFileName;
+      startFileId = page.nextFileId;
+    }
+    return versions;
+  }
+
+  /**
+   * Delete a specific file version
+   * @param {string} fileName
+   * @param {string} fileId
+   * @returns {Promise<Object>} { fileId, fileName }
+   */
+  deleteFileVersion(fileName, fileId) {
+    return this.call('b2_delete_file_version', { fileName, fileId }, 'Failed to delete file');
+  }
+
+  /**
+   * Hide a file so it no longer shows up in listings or downloads by name
+   * @param {string} bucketId
+   * @param {string} fileName
+   * @returns {Promise<Object>} the hide marker
+   */
+  hideFile(bucketId, fileName) {
+    return this.call('b2_hide_file', { bucketId, fileName }, 'Failed to hide file');
+  }
+
+  /**
+   * Copy a file on the server side
+   * @param {string} sourceFileId
+   * @param {string} fileName - name of the new file
+   * @param {Object} options - extra b2_copy_file parameters (e.g. destinationBucketId)
+   * @returns {Promise<Object>} B2 file object
+   */
+  copyFile(sourceFileId, fileName, options = {}) {
+    return this.call('b2_copy_file', { sourceFileId, fileName, ...options }, 'Failed to copy file');
+  }
+
+  /**
+   * Get a download authorization token for files in a private bucket
+   * @param {string} bucketId
+   * @param {string} fileNamePrefix
+   * @param {number} validDurationInSeconds - 1 to 604800
+   * @returns {Promise<Object>} { bucketId, fileNamePrefix, authorizationToken }
+   */
+  getDownloadAuthorization(bucketId, fileNamePrefix, validDurationInSeconds) {
+    return this.call('b2_get_download_authorization', {
+      bucketId,
+      fileNamePrefix,
+      validDurationInSeconds
+    }, 'Failed to get download authorization');
+  }
+}
+
+module.exports = {
+  B2Client,
+  sha1,
+  calculatePartSize,
+  MIN_PART_SIZE,
+  DEFAULT_REQUEST_TIMEOUT
+};
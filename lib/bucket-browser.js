@@ -0,0 +1,146 @@
+/**
+ * Bucket 文件浏览（分页 + 目录）
+ *
+ * 基于 b2_list_file_names: 用 delimiter '/' 把下一级目录合并为一个条目（action 为 folder），
+ * 用 nextFileName 向后翻页。B2 不支持向前翻页，因此记录已浏览各页的起始文件名，用于返回上一页。
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const DELIMITER = '/';
+
+class BucketBrowser {
+  /**
+   * @param {B2Client} client
+   * @param {string} bucketId
+   * @param {Object} options - { pageSize, prefix }
+   */
+  constructor(client, bucketId, options = {}) {
+    this.client = client;
+    this.bucketId = bucketId;
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    this.prefix = options.prefix || '';
+    this.entries = [];
+    this.nextFileName = null;
+    // 每一页的起始文件名，第一页为 null
+    this.pageStarts = [null];
+  }
+
+  /**
+   * Current page number, starting at 1
+   * @returns {number}
+   */
+  get page() {
+    return this.pageStarts.length;
+  }
+
+  get hasNext() {
+    return Boolean(this.nextFileName);
+  }
+
+  get hasPrevious() {
+    return this.pageStarts.length > 1;
+  }
+
+  get canGoUp() {
+    return this.prefix !== '';
+  }
+
+  /**
+   * Fetch the current page
+   * @returns {Promise<Array<Object>>} folder entries and B2 file objects
+   */
+  async load() {
+    const params = {
+      bucketId: this.bucketId,
+      prefix: this.prefix,
+      delimiter: DELIMITER,
+      maxFileCount: this.pageSize
+    };
+    const startFileName = this.pageStarts[this.pageStarts.length - 1];
+    if (startFileName) {
+      params.startFileName = startFileName;
+    }
+
+    const { files, nextFileName } = await this.client.listFileNames(params);
+    this.entries = files;
+    this.nextFileName = nextFileName;
+    return this.entries;
+  }
+
+  /**
+   * Go to the next page
+   * @returns {Promise<Array<Object>>}
+   */
+  next() {
+    if (!this.hasNext) {
+      throw new Error('Already on the last page');
+    }
+    this.pageStarts.push(this.nextFileName);
+    return this.load();
+  }
+
+  /**
+   * Go back to the previous page
+   * @returns {Promise<Array<Object>>}
+   */
+  previous() {
+    if (!this.hasPrevious) {
+      throw new Error('Already on the first page');
+    }
+    this.pageStarts.pop();
+    return this.load();
+  }
+
+  /**
+   * Open a folder entry
+   * @param {Object} folder - an entry with action 'folder'
+   * @returns {Promise<Array<Object>>}
+   */
+  enter(folder) {
+    if (!isFolder(folder)) {
+      throw new Error(`Not a folder: ${folder.fileName}`);
+    }
+    return this.open(folder.fileName);
+  }
+
+  /**
+   * Go to the parent folder
+   * @returns {Promise<Array<Object>>}
+   */
+  up() {
+    if (!this.canGoUp) {
+      throw new Error('Already at the top of the bucket');
+    }
+    const path = this.prefix.slice(0, -DELIMITER.length);
+    return this.open(path.substring(0, path.lastIndexOf(DELIMITER) + 1));
+  }
+
+  open(prefix) {
+    this.prefix = prefix;
+    this.pageStarts = [null];
+    return this.load();
+  }
+
+  /**
+   * Name of an entry relative to the current folder
+   * @param {Object} entry
+   * @returns {string}
+   */
+  displayName(entry) {
+    return entry.fileName.substring(this.prefix.length);
+  }
+}
+
+/**
+ * @param {Object} entry - an entry from b2_list_file_names
+ * @returns {boolean}
+ */
+function isFolder(entry) {
+  return entry.action === 'folder';
+}
+
+module.exports = {
+  BucketBrowser,
+  isFolder,
+  DEFAULT_PAGE_SIZE
+};
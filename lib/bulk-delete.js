@@ -0,0 +1,215 @@
+/**
+ * 批量删除
+ *
+ * 按文件名前缀、glob、上传时间范围和文件大小筛选 Bucket 中的文件（多个条件需同时满足），
+ * 删除前先预览文件数和总大小；删除时限制并发，单个文件失败不影响其他文件，最后汇总失败原因。
+ * 删除策略 latest 按 all 执行（见 delete-policy 的 getBulkDeletePolicy），避免旧版本重新出现。
+ *
+ * 条件的写法:
+ * - 时间: 日期（2024-01-31、2024-01-31T08:00:00Z）、年份（2024）、毫秒时间戳，或距今时长（30m、12h、30d、2w）
+ * - 大小: 字节数，或带单位（500KB、1.5MB、2GB）
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { globToRegExp, globPrefix } = require('./glob');
+const { removeFile } = require('./delete-policy');
+
+const DEFAULT_DELETE_CONCURRENCY = 4;
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024, g: 1024 * 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// GUI 输入框中的条件名（与 CLI 选项同名）
+const SELECTION_KEYS = {
+  prefix: 'prefix',
+  glob: 'glob',
+  before: 'before',
+  after: 'after',
+  'min-size': 'minSize',
+  'max-size': 'maxSize'
+};
+
+function parseTime(value, name, now) {
+  const text = String(value).trim();
+  const age = text.match(/^(\d+)\s*([mhdw])$/i);
+  if (age) {
+    return now - Number(age[1]) * DURATION_UNITS[age[2].toLowerCase()];
+  }
+  // 纯数字: 4 位是年份，12 位以上是毫秒时间戳；其他位数（秒级时间戳、20240131 等）有歧义，不接受
+  let time = NaN;
+  if (/^\d{4}$/.test(text)) {
+    time = Date.parse(`${text}-01-01T00:00:00Z`);
+  } else if (/^\d{12,}$/.test(text)) {
+    time = Number(text);
+  } else if (!/^\d+$/.test(text)) {
+    time = Date.parse(text);
+  }
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} time: ${value} (use a date such as 2024-01-31, a year, a timestamp in ms, or an age such as 30d)`);
+  }
+  return time;
+}
+
+function parseSize(value, name) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b?)$/i);
+  if (!match) {
+    throw new Error(`Invalid ${name}: ${value} (use bytes or a size such as 500KB or 1.5MB)`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse bulk delete criteria
+ * @param {Object} options - { prefix, glob, before, after, minSize, maxSize } as entered by the user
+ * @param {number} now - reference time for ages such as 30d
+ * @returns {Object} { prefix, glob, before, after, minSize, maxSize } with times in ms and sizes in bytes
+ * @throws {Error} on an invalid value, or when no criterion is given
+ */
+function parseSelection(options, now = Date.now()) {
+  const selection = {};
+  if (options.prefix) {
+    selection.prefix = String(options.prefix);
+  }
+  if (options.glob) {
+    selection.glob = String(options.glob);
+    globToRegExp(selection.glob);
+  }
+  if (options.before) {
+    selection.before = parseTime(options.before, 'before', now);
+  }
+  if (options.after) {
+    selection.after = parseTime(options.after, 'after', now);
+  }
+  if (options.minSize) {
+    selection.minSize = parseSize(options.minSize, 'min size');
+  }
+  if (options.maxSize) {
+    selection.maxSize = parseSize(options.maxSize, 'max size');
+  }
+
+  // 没有任何条件时会选中整个 Bucket，不允许
+  if (Object.keys(selection).length === 0) {
+    throw new Error('Choose the files to delete with at least one of prefix, glob, before, after, min-size or max-size');
+  }
+  return selection;
+}
+
+/**
+ * Parse `name=value` criteria separated by spaces, as typed into the GUI input box
+ * @param {string} text - e.g. `prefix=tmp/ before=30d max-size=1MB`
+ * @param {number} now
+ * @returns {Object} see parseSelection
+ */
+function parseSelectionText(text, now = Date.now()) {
+  const options = {};
+  for (const entry of String(text || '').split(/\s+/).filter(Boolean)) {
+    const index = entry.indexOf('=');
+    const key = SELECTION_KEYS[entry.substring(0, index)];
+    if (index === -1 || !key) {
+      throw new Error(`Invalid condition: ${entry} (expected ${Object.keys(SELECTION_KEYS).join(', ')} as name=value)`);
+    }
+    options[key] = entry.substring(index + 1);
+  }
+  return parseSelection(options, now);
+}
+
+/**
+ * @param {Object} selection - from parseSelection
+ * @returns {Function} (file) => boolean
+ */
+function createFilter(selection) {
+  const pattern = selection.glob ? globToRegExp(selection.glob) : null;
+  return (file) => (!selection.prefix || file.fileName.startsWith(selection.prefix))
+    && (!pattern || pattern.test(file.fileName))
+    && (selection.before === undefined || file.uploadTimestamp < selection.before)
+    && (selection.after === undefined || file.uploadTimestamp >= selection.after)
+    && (selection.minSize === undefined || file.contentLength >= selection.minSize)
+    && (selection.maxSize === undefined || file.contentLength <= selection.maxSize);
+}
+
+/**
+ * List the files matching a selection
+ * @param {B2Client} client
+ * @param {string} bucketId
+ * @param {Object} selection - from parseSelection
+ * @returns {Promise<Array<Object>>} B2 file objects (latest versions)
+ */
+async function findFiles(client, bucketId, selection) {
+  // 只列出可能匹配的范围: 前缀，或 glob 中通配符之前更长的那部分
+  const prefix = selection.prefix || '';
+  const patternPrefix = selection.glob ? globPrefix(selection.glob) : '';
+  const listPrefix = patternPrefix.startsWith(prefix) ? patternPrefix : prefix;
+
+  const files = await client.listAllFileNames({ bucketId, prefix: listPrefix });
+  return files.filter(createFilter(selection));
+}
+
+/**
+ * Dry-run summary of the files to delete
+ * @param {Array<Object>} files
+ * @returns {Object} { count, bytes }
+ */
+function summarize(files) {
+  return {
+    count: files.length,
+    bytes: files.reduce((total, file) => total + (file.contentLength || 0), 0)
+  };
+}
+
+/**
+ * Human-readable size
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(2)} ${units[unit]}`;
+}
+
+/**
+ * Delete files with bounded concurrency, collecting failures instead of stopping at the first one
+ * @param {B2Client} client
+ * @param {string} bucketId
+ * @param {Array<Object>} files - from findFiles
+ * @param {Object} options - { policy, concurrency, onProgress(done, total, file) }
+ * @returns {Promise<Object>} { deleted: [{ fileName, versions }], failed: [{ fileName, error }] }
+ */
+async function deleteFiles(client, bucketId, files, options = {}) {
+  const deleted = [];
+  const failed = [];
+  let done = 0;
+
+  await mapWithConcurrency(files, options.concurrency || DEFAULT_DELETE_CONCURRENCY, async (file) => {
+    try {
+      const { versions } = await removeFile(client, bucketId, { fileName: file.fileName, fileId: file.fileId }, options.policy);
+      deleted.push({ fileName: file.fileName, versions });
+    } catch (err) {
+      failed.push({ fileName: file.fileName, error: err.message });
+    }
+    done++;
+    if (options.onProgress) {
+      options.onProgress(done, files.length, file);
+    }
+  });
+
+  return { deleted, failed };
+}
+
+module.exports = {
+  DEFAULT_DELETE_CONCURRENCY,
+  parseSelection,
+  parseSelectionText,
+  findFiles,
+  summarize,
+  formatBytes,
+  deleteFiles
+};
@@ -0,0 +1,534 @@
+/**
+ * PicGo CLI 命令: picgo b2 <子命令>
+ *
+ * - picgo b2 use [profile]   切换配置档案；不带参数时列出所有档案
+ * - picgo b2 save <profile>  把当前设置保存为配置档案
+ * - picgo b2 purge [options] 按条件批量删除文件；默认只预览，加 --yes 才删除
+ * - picgo b2 ls [prefix]     列出文件，默认按 / 分目录；-r 列出前缀下的所有文件
+ * - picgo b2 rm <key...>     按删除策略删除文件
+ * - picgo b2 info <key>      查看文件信息
+ * - picgo b2 url <key>       输出文件链接（与上传时的链接规则一致）
+ * - picgo b2 whoami          查看授权信息和密钥权限
+ * - picgo b2 sync <dir> [prefix]  把本地目录单向同步到 Bucket（默认同步到 Path Prefix）；
+ *   --dry-run 只预览，--delete 同时删除本地已不存在的远程文件
+ *
+ * ls、rm、info、url、whoami、sync 加 --json 时结果以 JSON 输出到 stdout，便于脚本处理；日志仍输出到 PicGo 的日志。
+ * 出错且还没有输出结果时输出 { error, code }，code 与退出码相同。
+ * 退出码: 0 成功，2 授权失败或权限不足，3 文件不存在，1 其他错误。
+ */
+
+const path = require('path');
+const { B2Client } = require('./b2-client');
+const { picgoTransport } = require('./transport');
+const { toPositiveNumber, getUploadOptions, getUploadConcurrency } = require('./config');
+const { listProfiles, saveProfile, useProfile } = require('./profiles');
+const { resolveBucket, getAllowedBuckets } = require('./connection');
+const { getDeletePolicy, getBulkDeletePolicy, removeFile } = require('./delete-policy');
+const { resolveFileUrl } = require('./file-url');
+const { B2AuthError, B2NotFoundError } = require('./errors');
+const { DEFAULT_DELETE_CONCURRENCY, parseSelection, findFiles, summarize, formatBytes, deleteFiles } = require('./bulk-delete');
+const { resolveRemotePrefix, planSync, summarizePlan, runSync } = require('./sync');
+const { parseContentTypeMap } = require('./content-type');
+const { getFileInfoTemplates } = require('./file-info');
+const { getEncryption } = require('./encryption');
+
+const COMMAND_NAME = 'b2';
+
+const EXIT_ERROR = 1;
+const EXIT_AUTH_ERROR = 2;
+const EXIT_NOT_FOUND = 3;
+
+/**
+ * picgo b2 use [profile]
+ * @param {Object} ctx - PicGo context
+ * @param {string} profile
+ */
+function use(ctx, profile) {
+  const config = ctx.getConfig('picBed.b2') || {};
+  if (!profile) {
+    const names = listProfiles(config);
+    if (names.length === 0) {
+      ctx.log.info('[B2] No profiles saved yet; run "picgo b2 save <profile>" to create one');
+      return;
+    }
+    for (const name of names) {
+      ctx.log.info(`${name === config.activeProfile ? '*' : ' '} ${name}`);
+    }
+    return;
+  }
+
+  const next = useProfile(ctx, profile);
+  ctx.log.success(`[B2] Switched to profile "${profile}" (bucket ${next.bucketName || next.bucketId || '-'})`);
+}
+
+/**
+ * picgo b2 save <profile>
+ * @param {Object} ctx - PicGo context
+ * @param {string} profile
+ */
+function save(ctx, profile) {
+  const settings = saveProfile(ctx, profile);
+  ctx.log.success(`[B2] Saved current settings as profile "${profile}" (bucket ${settings.bucketName || settings.bucketId || '-'})`);
+}
+
+/**
+ * 当前的 B2 设置，未配置密钥时报错
+ */
+function requireConfig(ctx) {
+  const config = ctx.getConfig('picBed.b2');
+  if (!config || !config.applicationKeyId || !config.applicationKey) {
+    throw new Error('B2 is not configured; run "picgo set uploader b2" first');
+  }
+  return config;
+}
+
+function createClient(ctx, config) {
+  return B2Client.fromConfig(config, {
+    transport: picgoTransport(ctx.request),
+    log: ctx.log
+  });
+}
+
+/**
+ * picgo b2 purge [options]
+ * Lists the matching files, and deletes them only with --yes
+ * @param {Object} ctx - PicGo context
+ * @param {Object} options - { prefix, glob, before, after, minSize, maxSize, concurrency, yes }
+ */
+async function purge(ctx, options) {
+  const config = requireConfig(ctx);
+  const selection = parseSelection(options);
+  const policy = getBulkDeletePolicy(config);
+  const client = createClient(ctx, config);
+  const { bucketId, bucketName } = await resolveBucket(client, config);
+
+  const files = await findFiles(client, bucketId, selection);
+  const { count, bytes } = summarize(files);
+  if (count === 0) {
+    ctx.log.info(`[B2] No files in ${bucketName} match`);
+    return;
+  }
+  for (const file of files) {
+    ctx.log.info(`  ${file.fileName} (${formatBytes(file.contentLength)})`);
+  }
+  ctx.log.info(`[B2] ${count} file(s) in ${bucketName} match, ${formatBytes(bytes)} in total (latest versions)`);
+  ctx.log.info(policy === 'hide'
+    ? '[B2] Files will be hidden; their versions are kept'
+    : '[B2] Every version of these files will be deleted, so no older version becomes visible');
+
+  if (!options.yes) {
+    ctx.log.info('[B2] Dry run: nothing was deleted; run again with --yes to delete these files');
+    return;
+  }
+
+  const concurrency = Math.floor(toPositiveNumber(options.concurrency, DEFAULT_DELETE_CONCURRENCY));
+  const { deleted, failed } = await deleteFiles(client, bucketId, files, { policy, concurrency });
+  ctx.log.success(`[B2] Deleted ${deleted.length} of ${count} file(s) (${policy})`);
+  if (failed.length > 0) {
+    for (const failure of failed) {
+      ctx.log.error(`[B2] ${failure.fileName}: ${failure.error}`);
+    }
+    throw new Error(`${failed.length} file(s) could not be deleted`);
+  }
+}
+
+// 已输出的结果数；run 据此判断出错前是否已经输出过结果
+let printed = 0;
+
+/**
+ * 输出命令结果（stdout），--json 时输出 JSON
+ */
+function print(value, json) {
+  printed++;
+  console.log(json ? JSON.stringify(value, null, 2) : value);
+}
+
+/**
+ * 创建客户端并解析 Bucket
+ * @returns {Promise<Object>} { config, client, bucketConfig }
+ */
+async function connect(ctx) {
+  const config = requireConfig(ctx);
+  const client = createClient(ctx, config);
+  const bucketConfig = { ...config, ...(await resolveBucket(client, config)) };
+  return { config, client, bucketConfig };
+}
+
+/**
+ * 按文件名查找最新版本，不存在时抛出 B2NotFoundError
+ */
+async function getExistingFile(client, bucketId, fileName) {
+  const file = await client.getFileByName(bucketId, fileName);
+  if (!file) {
+    throw new B2NotFoundError(`File not found: ${fileName}`);
+  }
+  return file;
+}
+
+function formatListEntry(file) {
+  if (file.action === 'folder') {
+    return `${'-'.padStart(10)}  ${'-'.padEnd(24)}  ${file.fileName}`;
+  }
+  return `${formatBytes(file.contentLength).padStart(10)}  ${new Date(file.uploadTimestamp).toISOString()}  ${file.fileName}`;
+}
+
+/**
+ * picgo b2 ls [prefix]
+ * @param {Object} ctx - PicGo context
+ * @param {string} prefix
+ * @param {Object} options - { recursive, json }
+ */
+async function ls(ctx, prefix, options) {
+  const { client, bucketConfig } = await connect(ctx);
+  const files = await client.listAllFileNames({
+    bucketId: bucketConfig.bucketId,
+    prefix,
+    ...(options.recursive ? {} : { delimiter: '/' })
+  });
+
+  if (options.json) {
+    print(files, true);
+    return;
+  }
+  for (const file of files) {
+    print(formatListEntry(file));
+  }
+}
+
+/**
+ * picgo b2 rm <key...>
+ * Every key is attempted; missing files give exit code 3 once the rest are done
+ * @param {Object} ctx - PicGo context
+ * @param {Array<string>} keys
+ * @param {Object} options - { json }
+ */
+async function rm(ctx, keys, options) {
+  const { config, client, bucketConfig } = await connect(ctx);
+  const policy = getDeletePolicy(config);
+  const results = [];
+  const errors = [];
+
+  for (const fileName of keys) {
+    try {
+      const { versions } = await removeFile(client, bucketConfig.bucketId, { fileName }, policy);
+      if (versions === 0) {
+        throw new B2NotFoundError(`File not found: ${fileName}`);
+      }
+      results.push({ fileName, policy, versions });
+      if (!options.json) {
+        ctx.log.success(`[B2] ${policy === 'hide' ? 'Hid' : 'Deleted'} ${fileName} (${versions} version(s))`);
+      }
+    } catch (err) {
+      results.push({ fileName, error: err.message });
+      errors.push(err);
+      if (!options.json) {
+        ctx.log.error(`[B2] ${err.message}`);
+      }
+    }
+  }
+
+  if (options.json) {
+    print(results, true);
+  }
+  if (errors.length > 0) {
+    // 有授权或其他错误时按该错误退出，只有文件不存在时退出码为 3
+    const failure = errors.find(err => !(err instanceof B2NotFoundError));
+    if (failure) {
+      throw failure;
+    }
+    throw new B2NotFoundError(`${errors.length} of ${keys.length} file(s) not found`);
+  }
+}
+
+/**
+ * picgo b2 info <key>
+ * @param {Object} ctx - PicGo context
+ * @param {string} fileName
+ * @param {Object} options - { json }
+ */
+async function info(ctx, fileName, options) {
+  const { client, bucketConfig } = await connect(ctx);
+  const file = await getExistingFile(client, bucketConfig.bucketId, fileName);
+
+  if (options.json) {
+    print(file, true);
+    return;
+  }
+  const lines = [
+    `File name:    ${file.fileName}`,
+    `File ID:      ${file.fileId}`,
+    `Bucket:       ${bucketConfig.bucketName} (${bucketConfig.bucketId})`,
+    `Size:         ${formatBytes(file.contentLength)} (${file.contentLength} bytes)`,
+    `Content type: ${file.contentType}`,
+    `SHA1:         ${file.contentSha1}`,
+    `Uploaded:     ${new Date(file.uploadTimestamp).toISOString()}`
+  ];
+  if (file.serverSideEncryption && file.serverSideEncryption.mode) {
+    lines.push(`Encryption:   ${file.serverSideEncryption.mode}`);
+  }
+  for (const [name, value] of Object.entries(file.fileInfo || {})) {
+    lines.push(`Info:         ${name}=${value}`);
+  }
+  print(lines.join('\n'));
+}
+
+/**
+ * picgo b2 url <key>
+ * @param {Object} ctx - PicGo context
+ * @param {string} fileName
+ * @param {Object} options - { json }
+ */
+async function url(ctx, fileName, options) {
+  const { client, bucketConfig } = await connect(ctx);
+  const file = await getExistingFile(client, bucketConfig.bucketId, fileName);
+  const fileUrl = await resolveFileUrl(client, bucketConfig, file);
+  print(options.json ? { fileName, url: fileUrl } : fileUrl, options.json);
+}
+
+/**
+ * picgo b2 whoami
+ * @param {Object} ctx - PicGo context
+ * @param {Object} options - { json }
+ */
+async function whoami(ctx, options) {
+  const config = requireConfig(ctx);
+  const auth = await createClient(ctx, config).authorize();
+  const allowed = auth.allowed || {};
+  const buckets = getAllowedBuckets(allowed);
+  const result = {
+    accountId: auth.accountId,
+    applicationKeyId: config.applicationKeyId,
+    apiUrl: auth.apiUrl,
+    downloadUrl: auth.downloadUrl,
+    buckets,
+    capabilities: allowed.capabilities || [],
+    namePrefix: allowed.namePrefix || null
+  };
+
+  if (options.json) {
+    print(result, true);
+    return;
+  }
+  print([
+    `Account ID:   ${result.accountId}`,
+    `Key ID:       ${result.applicationKeyId}`,
+    `API URL:      ${result.apiUrl}`,
+    `Download URL: ${result.downloadUrl}`,
+    `Buckets:      ${buckets.length > 0 ? buckets.map(bucket => `${bucket.bucketName} (${bucket.bucketId})`).join(', ') : 'all'}`,
+    `Capabilities: ${result.capabilities.join(', ')}`,
+    `Name prefix:  ${result.namePrefix || '-'}`
+  ].join('\n'));
+}
+
+/**
+ * 逗号分隔的 glob 列表
+ */
+function splitPatterns(value) {
+  return String(value || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * picgo b2 sync <dir> [prefix]
+ * Uploads new and changed files; with --delete also removes remote files missing locally
+ * @param {Object} ctx - PicGo context
+ * @param {string} dir - local directory
+ * @param {string} prefix - remote folder, defaults to the Path Prefix setting
+ * @param {Object} options - { dryRun, delete, include, exclude, concurrency, json }
+ */
+async function sync(ctx, dir, prefix, options) {
+  const { config, client, bucketConfig } = await connect(ctx);
+  const { bucketId, bucketName } = bucketConfig;
+  // Catch content type, file info and encryption mistakes before anything is listed
+  const customContentTypes = parseContentTypeMap(config.contentTypes);
+  const fileInfoTemplates = getFileInfoTemplates(config);
+  const encryption = getEncryption(config);
+  const policy = getBulkDeletePolicy(config);
+
+  const auth = await client.authorize();
+  const remotePrefix = resolveRemotePrefix(prefix === undefined ? config.pathPrefix : prefix, auth.allowed, config.autoNamePrefix);
+  const plan = await planSync(client, bucketId, {
+    localDir: path.resolve(dir),
+    remotePrefix,
+    include: splitPatterns(options.include),
+    exclude: splitPatterns(options.exclude),
+    deleteRemoved: Boolean(options.delete)
+  });
+  const summary = summarizePlan(plan);
+  const target = `${bucketName}/${remotePrefix}`;
+
+  if (!options.json) {
+    for (const file of plan.upload) {
+      ctx.log.info(`  ${file.reason === 'new' ? '+' : '~'} ${file.fileName} (${formatBytes(file.size)})`);
+    }
+    for (const file of plan.delete) {
+      ctx.log.info(`  - ${file.fileName}`);
+    }
+    for (const file of plan.invalid) {
+      ctx.log.warn(`  ! ${file.error}`);
+    }
+    const invalid = summary.invalid > 0 ? `, ${summary.invalid} with invalid names` : '';
+    ctx.log.info(`[B2] ${target}: ${summary.new} new, ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.delete} to delete${invalid} (${formatBytes(summary.uploadBytes)} to upload)`);
+  }
+
+  if (options.dryRun) {
+    if (options.json) {
+      print({
+        dryRun: true,
+        ...summary,
+        upload: plan.upload.map(file => ({ fileName: file.fileName, reason: file.reason, size: file.size })),
+        delete: plan.delete.map(file => file.fileName),
+        invalid: plan.invalid
+      }, true);
+    } else {
+      ctx.log.info('[B2] Dry run: nothing was uploaded or deleted; run again without --dry-run to sync');
+    }
+    return;
+  }
+
+  const result = await runSync(client, bucketId, plan, {
+    concurrency: Math.floor(toPositiveNumber(options.concurrency, getUploadConcurrency(config))),
+    policy,
+    uploadOptions: getUploadOptions(config),
+    customContentTypes,
+    fileInfoTemplates,
+    encryption,
+    onProgress: (done, total, fileName) => {
+      if (!options.json) {
+        ctx.log.info(`[B2] [${done}/${total}] ${fileName}`);
+      }
+    }
+  });
+
+  if (options.json) {
+    print({ dryRun: false, ...summary, ...result }, true);
+  } else {
+    ctx.log.success(`[B2] Synced ${target}: uploaded ${result.uploaded.length}, deleted ${result.deleted.length} (${policy}), ${summary.unchanged} unchanged, ${result.failed.length} failed`);
+    for (const failure of result.failed) {
+      ctx.log.error(`[B2] ${failure.fileName}: ${failure.error}`);
+    }
+  }
+  if (result.failed.length > 0) {
+    throw new Error(`${result.failed.length} file(s) could not be synced`);
+  }
+}
+
+/**
+ * 子命令出错时的退出码
+ */
+function getExitCode(err) {
+  if (err instanceof B2AuthError) {
+    return EXIT_AUTH_ERROR;
+  }
+  if (err instanceof B2NotFoundError) {
+    return EXIT_NOT_FOUND;
+  }
+  return EXIT_ERROR;
+}
+
+/**
+ * 执行子命令，出错时记录日志并设置退出码，不抛出
+ * --json 时还向 stdout 输出 { error, code }；rm、sync 等已输出了逐个文件结果的命令不再重复输出
+ * @param {Object} ctx - PicGo context
+ * @param {Function} fn
+ * @param {Object} options - 子命令的选项，读取 json
+ */
+async function run(ctx, fn, options = {}) {
+  const printedBefore = printed;
+  try {
+    await fn();
+  } catch (err) {
+    ctx.log.error(`[B2] ${err.message}`);
+    process.exitCode = getExitCode(err);
+    if (options.json && printed === printedBefore) {
+      print({ error: err.message, code: process.exitCode }, true);
+    }
+  }
+}
+
+/**
+ * Register the `picgo b2` command with PicGo's commander program
+ * Does nothing when PicGo runs without a CLI (e.g. inside PicGo GUI)
+ * @param {Object} ctx - PicGo context
+ */
+function register(ctx) {
+  if (!ctx.cmd || typeof ctx.cmd.register !== 'function') {
+    return;
+  }
+
+  ctx.cmd.register(COMMAND_NAME, {
+    handle(ctx) {
+      const b2 = ctx.cmd.program
+        .command(COMMAND_NAME)
+        .description('Backblaze B2 tools');
+
+      b2.command('use [profile]')
+        .description('switch the active B2 profile, or list profiles')
+        .action((profile) => run(ctx, () => use(ctx, profile)));
+
+      b2.command('save <profile>')
+        .description('save the current B2 settings as a profile')
+        .action((profile) => run(ctx, () => save(ctx, profile)));
+
+      b2.command('purge')
+        .description('delete files by prefix, glob, upload time or size (dry run unless --yes)')
+        .option('--prefix <prefix>', 'file names starting with this prefix')
+        .option('--glob <pattern>', 'file names matching this pattern, e.g. "tmp/**/*.png"')
+        .option('--before <time>', 'uploaded before a date, a year, a timestamp in ms or an age such as 30d')
+        .option('--after <time>', 'uploaded at or after a date, a year, a timestamp in ms or an age such as 7d')
+        .option('--min-size <size>', 'at least this size, e.g. 500KB')
+        .option('--max-size <size>', 'at most this size, e.g. 2MB')
+        .option('--concurrency <count>', `parallel deletions (default ${DEFAULT_DELETE_CONCURRENCY})`)
+        .option('--yes', 'delete the files instead of only listing them')
+        .action((options) => run(ctx, () => purge(ctx, options)));
+
+      b2.command('ls [prefix]')
+        .description('list files and folders, optionally under a prefix')
+        .option('-r, --recursive', 'list every file under the prefix instead of one folder level')
+        .option('--json', 'print B2 file objects as JSON')
+        .action((prefix, options) => run(ctx, () => ls(ctx, prefix, options), options));
+
+      b2.command('rm <key...>')
+        .description('delete files using the configured delete policy')
+        .option('--json', 'print the result for each file as JSON')
+        .action((keys, options) => run(ctx, () => rm(ctx, keys, options), options));
+
+      b2.command('info <key>')
+        .description('show details of a file')
+        .option('--json', 'print the B2 file object as JSON')
+        .action((key, options) => run(ctx, () => info(ctx, key, options), options));
+
+      b2.command('url <key>')
+        .description('print the URL of a file, signed for private buckets')
+        .option('--json', 'print { fileName, url } as JSON')
+        .action((key, options) => run(ctx, () => url(ctx, key, options), options));
+
+      b2.command('whoami')
+        .description('show the authorization and the key\'s capabilities')
+        .option('--json', 'print as JSON')
+        .action((options) => run(ctx, () => whoami(ctx, options), options));
+
+      b2.command('sync <dir> [prefix]')
+        .description('upload new and changed files from a local directory (prefix defaults to Path Prefix)')
+        .option('--dry-run', 'only list what would be uploaded or deleted')
+        .option('--delete', 'also delete remote files that no longer exist locally')
+        .option('--include <patterns>', 'comma-separated globs of relative paths to sync, e.g. "**/*.png,**/*.jpg"')
+        .option('--exclude <patterns>', 'comma-separated globs of relative paths to skip, e.g. "drafts/**"')
+        .option('--concurrency <count>', 'parallel uploads (default Upload Concurrency)')
+        .option('--json', 'print the summary as JSON')
+        .action((dir, prefix, options) => run(ctx, () => sync(ctx, dir, prefix, options), options));
+    }
+  });
+}
+
+module.exports = {
+  register,
+  use,
+  save,
+  purge,
+  ls,
+  rm,
+  info,
+  url,
+  whoami,
+  sync
+};
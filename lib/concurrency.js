@@ -0,0 +1,42 @@
+/**
+ * 并发控制
+ */
+
+/**
+ * Run an async function over items with bounded concurrency
+ * Results keep the order of the input items. Once a call fails no new
+ * items are started and the first error is thrown.
+ * @param {Array} items 
+ * @param {number} limit 
+ * @param {Function} fn - (item, index, workerIndex) => Promise
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let next = 0;
+  let failed = false;
+
+  const worker = async (workerIndex) => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index, workerIndex);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(worker(i));
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
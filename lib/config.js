@@ -0,0 +1,52 @@
+/**
+ * 配置读取工具
+ */
+
+// B2 大文件相关默认值
+const DEFAULT_LARGE_FILE_THRESHOLD_MB = 100;
+const DEFAULT_LARGE_FILE_CONCURRENCY = 4;
+// 批量上传时同时上传的文件数
+const DEFAULT_UPLOAD_CONCURRENCY = 3;
+const MB = 1024 * 1024;
+
+/**
+ * Read a positive number from a config value (PicGo stores inputs as strings)
+ * @param {*} value 
+ * @param {number} fallback 
+ * @returns {number}
+ */
+function toPositiveNumber(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+/**
+ * Large file settings passed to B2Client.upload
+ * @param {Object} config - picBed.b2 config
+ * @returns {Object} { largeFileThreshold, partSize, concurrency } with sizes in bytes
+ */
+function getUploadOptions(config) {
+  return {
+    largeFileThreshold: toPositiveNumber(config.largeFileThreshold, DEFAULT_LARGE_FILE_THRESHOLD_MB) * MB,
+    partSize: config.partSize ? toPositiveNumber(config.partSize, 0) * MB : 0,
+    concurrency: Math.floor(toPositiveNumber(config.largeFileConcurrency, DEFAULT_LARGE_FILE_CONCURRENCY))
+  };
+}
+
+/**
+ * Number of files uploaded at the same time
+ * @param {Object} config - picBed.b2 config
+ * @returns {number}
+ */
+function getUploadConcurrency(config) {
+  return Math.floor(toPositiveNumber(config.uploadConcurrency, DEFAULT_UPLOAD_CONCURRENCY));
+}
+
+module.exports = {
+  DEFAULT_LARGE_FILE_THRESHOLD_MB,
+  DEFAULT_LARGE_FILE_CONCURRENCY,
+  DEFAULT_UPLOAD_CONCURRENCY,
+  toPositiveNumber,
+  getUploadOptions,
+  getUploadConcurrency
+};
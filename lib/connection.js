@@ -0,0 +1,230 @@
+/**
+ * 连接测试与 Bucket 解析
+ *
+ * - Bucket ID 和 Bucket Name 只需填写一个，另一个通过授权结果中的 allowed.buckets
+ *   （限定 Bucket 的密钥）或 b2_list_buckets（不限 Bucket 的密钥，需要 listBuckets 权限）查出
+ * - 测试连接时逐项检查密钥、Bucket 和权限，列出所有配置错误
+ * - 上传前检查密钥的 Bucket 和文件名前缀（namePrefix）限制，避免 B2 只返回笼统的 unauthorized；
+ *   可选自动补上密钥要求的前缀
+ */
+
+const { B2AuthError } = require('./errors');
+
+// 插件用到的权限及其用途
+const REQUIRED_CAPABILITIES = {
+  writeFiles: 'upload files',
+  listFiles: 'look up files for dedupe, URLs and deletion',
+  deleteFiles: 'delete files from the gallery'
+};
+const PRIVATE_BUCKET_CAPABILITIES = {
+  shareFiles: 'sign URLs for a private bucket'
+};
+
+// Account ID 是 12 位十六进制，常被误填为 Application Key ID
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{12}$/i;
+
+/**
+ * Buckets an application key is restricted to
+ * Reads the v4 `buckets` list as well as the single `bucketId` / `bucketName` of older responses.
+ * @param {Object} allowed - `allowed` from the authorization
+ * @returns {Array<Object>} [{ bucketId, bucketName }], empty when the key can access every bucket
+ */
+function getAllowedBuckets(allowed) {
+  if (!allowed) {
+    return [];
+  }
+  if (Array.isArray(allowed.buckets) && allowed.buckets.length > 0) {
+    return allowed.buckets.map(bucket => ({ bucketId: bucket.id, bucketName: bucket.name }));
+  }
+  if (allowed.bucketId) {
+    return [{ bucketId: allowed.bucketId, bucketName: allowed.bucketName }];
+  }
+  return [];
+}
+
+function describeBuckets(buckets) {
+  return buckets.map(bucket => `"${bucket.bucketName}"`).join(', ');
+}
+
+/**
+ * 密钥可访问的 Bucket 列表
+ * @returns {Promise<Object>} { restricted, buckets: [{ bucketId, bucketName }] }
+ */
+async function getAccessibleBuckets(client, filter) {
+  const auth = await client.authorize();
+  const allowedBuckets = getAllowedBuckets(auth.allowed);
+  if (allowedBuckets.length > 0) {
+    return { restricted: true, buckets: allowedBuckets };
+  }
+
+  let buckets;
+  try {
+    buckets = await client.listBuckets(filter);
+  } catch (err) {
+    if (err instanceof B2AuthError) {
+      err.message = `${err.message}; fill in both Bucket ID and Bucket Name, or give the key the listBuckets capability`;
+    }
+    throw err;
+  }
+  return {
+    restricted: false,
+    buckets: buckets.map(bucket => ({ bucketId: bucket.bucketId, bucketName: bucket.bucketName }))
+  };
+}
+
+/**
+ * Find the configured bucket among those the key can access
+ * @param {B2Client} client
+ * @param {Object} config - picBed.b2 config with bucketId and/or bucketName
+ * @returns {Promise<Object>} { bucketId, bucketName }
+ * @throws {Error} describing what is wrong with the bucket settings
+ */
+async function findBucket(client, config) {
+  const { bucketId, bucketName } = config;
+  if (!bucketId && !bucketName) {
+    throw new Error('Bucket is not set: fill in the Bucket Name or the Bucket ID');
+  }
+
+  // 两者都填写时需要列出全部 Bucket，才能指出填错的是哪一个
+  const filter = bucketId && bucketName ? {} : (bucketId ? { bucketId } : { bucketName });
+  const { restricted, buckets } = await getAccessibleBuckets(client, filter);
+  const byId = bucketId ? buckets.find(bucket => bucket.bucketId === bucketId) : undefined;
+  const byName = bucketName ? buckets.find(bucket => bucket.bucketName === bucketName) : undefined;
+
+  if (byId && (!bucketName || byId.bucketName === bucketName)) {
+    return byId;
+  }
+  if (byName && !bucketId) {
+    return byName;
+  }
+
+  const problems = [];
+  if (bucketId && bucketId === config.applicationKeyId) {
+    problems.push('Bucket ID is set to the Application Key ID');
+  }
+  if (byId) {
+    problems.push(`Bucket ID ${bucketId} belongs to bucket "${byId.bucketName}", not "${bucketName}"`);
+  } else if (byName) {
+    problems.push(`Bucket ID ${bucketId} is wrong: bucket "${bucketName}" has ID ${byName.bucketId}`);
+  } else {
+    const target = bucketName ? `"${bucketName}"` : `with ID ${bucketId}`;
+    problems.push(restricted
+      ? `The application key is restricted to ${describeBuckets(buckets)} and cannot access bucket ${target}`
+      : `Bucket ${target} was not found in this account`);
+  }
+  throw new Error(problems.join('; '));
+}
+
+/**
+ * Fill in whichever of bucketId and bucketName is missing
+ * Settings with both filled in are returned as-is, without an extra request.
+ * @param {B2Client} client
+ * @param {Object} config - picBed.b2 config
+ * @returns {Promise<Object>} { bucketId, bucketName }
+ */
+async function resolveBucket(client, config) {
+  if (config.bucketId && config.bucketName) {
+    return { bucketId: config.bucketId, bucketName: config.bucketName };
+  }
+  return findBucket(client, config);
+}
+
+/**
+ * Refuse to upload to a bucket the key is not allowed to use
+ * @param {Object} allowed - `allowed` from the authorization
+ * @param {Object} bucket - { bucketId, bucketName }
+ * @throws {Error} stating the key's bucket restriction
+ */
+function assertBucketAllowed(allowed, bucket) {
+  const buckets = getAllowedBuckets(allowed);
+  if (buckets.length > 0 && !buckets.some(allowedBucket => allowedBucket.bucketId === bucket.bucketId)) {
+    throw new Error(`The application key is restricted to bucket ${describeBuckets(buckets)} and cannot upload to "${bucket.bucketName}" (${bucket.bucketId})`);
+  }
+}
+
+/**
+ * Make sure a file name is inside the key's namePrefix
+ * With autoPrefix the prefix is prepended, unless the name already starts inside the
+ * prefix's first folder, where prepending would nest the folder in itself (e.g. blog/2024/blog/a.png).
+ * @param {string} fileName - generated object key, including the path prefix
+ * @param {Object} allowed - `allowed` from the authorization
+ * @param {boolean} autoPrefix - prepend the key's namePrefix when it is missing
+ * @returns {string} the file name to upload
+ * @throws {Error} stating the key's namePrefix when the name is outside it
+ */
+function applyNamePrefix(fileName, allowed, autoPrefix) {
+  const namePrefix = allowed && allowed.namePrefix;
+  if (!namePrefix || fileName.startsWith(namePrefix)) {
+    return fileName;
+  }
+
+  const folder = namePrefix.split('/')[0];
+  const overlaps = namePrefix.includes('/') && fileName.startsWith(`${folder}/`);
+  if (autoPrefix && !overlaps) {
+    return namePrefix.endsWith('/') ? namePrefix + fileName : `${namePrefix}/${fileName}`;
+  }
+
+  const hint = autoPrefix
+    ? `set Path Prefix to start with "${namePrefix}"`
+    : `set Path Prefix to start with "${namePrefix}", or enable Auto Name Prefix`;
+  throw new Error(`${fileName} is outside the application key's namePrefix "${namePrefix}": ${hint}`);
+}
+
+/**
+ * Check the key, the bucket and the key's capabilities
+ * Problems are collected instead of thrown so the report lists everything that is misconfigured.
+ * @param {B2Client} client
+ * @param {Object} config - picBed.b2 config
+ * @returns {Promise<Object>} { ok, problems, bucketId, bucketName, capabilities, namePrefix }
+ */
+async function testConnection(client, config) {
+  const report = { ok: false, problems: [], bucketId: null, bucketName: null, capabilities: [], namePrefix: null };
+
+  if (!config.applicationKeyId || !config.applicationKey) {
+    report.problems.push('Application Key ID and Application Key are required');
+    return report;
+  }
+
+  let auth;
+  try {
+    auth = await client.authorize();
+  } catch (err) {
+    report.problems.push(err.message);
+    if (err instanceof B2AuthError) {
+      report.problems.push(ACCOUNT_ID_PATTERN.test(config.applicationKeyId)
+        ? 'The Application Key ID looks like an Account ID; use the keyID shown when the application key was created'
+        : 'Check that the Application Key ID and Application Key belong to the same key and that the key has not been deleted');
+    }
+    return report;
+  }
+
+  const allowed = auth.allowed || {};
+  report.capabilities = allowed.capabilities || [];
+  report.namePrefix = allowed.namePrefix || null;
+
+  try {
+    Object.assign(report, await findBucket(client, config));
+  } catch (err) {
+    report.problems.push(err.message);
+  }
+
+  const required = { ...REQUIRED_CAPABILITIES, ...(config.privateBucket ? PRIVATE_BUCKET_CAPABILITIES : {}) };
+  for (const [capability, purpose] of Object.entries(required)) {
+    if (!report.capabilities.includes(capability)) {
+      report.problems.push(`The application key lacks the ${capability} capability (needed to ${purpose})`);
+    }
+  }
+
+  report.ok = report.problems.length === 0;
+  return report;
+}
+
+module.exports = {
+  REQUIRED_CAPABILITIES,
+  getAllowedBuckets,
+  findBucket,
+  resolveBucket,
+  assertBucketAllowed,
+  applyNamePrefix,
+  testConnection
+};
@@ -0,0 +1,216 @@
+/**
+ * 文件 Content-Type 检测
+ *
+ * 优先根据文件头（magic bytes）识别，识别不出时按扩展名查表，都不认识时使用
+ * application/octet-stream。用户在配置中添加的扩展名映射优先于以上两者。
+ */
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+const EXTENSION_TYPES = {
+  // 图片
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.jpe': 'image/jpeg',
+  '.jfif': 'image/jpeg',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.jxl': 'image/jxl',
+  // 视频 / 音频
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  // 文档
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip'
+};
+
+// ISO BMFF（ftyp box）的品牌
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+const QUICKTIME_BRANDS = ['qt  '];
+const M4A_BRANDS = ['M4A '];
+
+// 内容相同、名称不同的类型，比较时视为一致
+const EQUIVALENT_TYPES = {
+  'image/apng': 'image/png',
+  'image/heif': 'image/heic',
+  'audio/mp4': 'video/mp4',
+  'video/x-matroska': 'video/webm'
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString('latin1', start, Math.min(end, buffer.length));
+}
+
+/**
+ * 识别 ISO BMFF 容器（AVIF、HEIC、MP4、MOV）
+ */
+function detectIsoBmff(buffer) {
+  if (buffer.length < 12 || ascii(buffer, 4, 8) !== 'ftyp') {
+    return null;
+  }
+  // 主品牌之后是兼容品牌列表，AVIF 常以 mif1 为主品牌
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+  const has = (list) => brands.some(brand => list.includes(brand));
+
+  if (has(AVIF_BRANDS)) return 'image/avif';
+  if (has(HEIC_BRANDS)) return 'image/heic';
+  if (has(HEIF_BRANDS)) return 'image/heif';
+  if (QUICKTIME_BRANDS.includes(brands[0])) return 'video/quicktime';
+  if (M4A_BRANDS.includes(brands[0])) return 'audio/mp4';
+  return 'video/mp4';
+}
+
+/**
+ * 识别 SVG（文本格式，检查开头是否为 XML 声明或 <svg 标签）
+ */
+function detectSvg(buffer) {
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, '').trimStart();
+  if (!head.startsWith('<')) {
+    return null;
+  }
+  return /<svg[\s>]/i.test(head) ? 'image/svg+xml' : null;
+}
+
+/**
+ * Detect a content type from the file's magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+function detectContentType(buffer) {
+  if (!buffer || buffer.length < 2) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+  }
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith(buffer, [0xff, 0x0a]) || startsWith(buffer, [0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a])) {
+    return 'image/jxl';
+  }
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 14) return 'image/bmp';
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+  if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // EBML 头中的 DocType 区分 WebM 与 Matroska
+    return ascii(buffer, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(buffer, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+
+  return detectIsoBmff(buffer) || detectSvg(buffer);
+}
+
+function normalizeExtension(ext) {
+  const value = String(ext || '').trim().toLowerCase();
+  if (!value) {
+    return '';
+  }
+  return value.startsWith('.') ? value : `.${value}`;
+}
+
+/**
+ * Parse user-defined extension mappings from config
+ * Accepts `.ext=type` entries separated by commas, semicolons or new lines,
+ * e.g. `.md=text/markdown; .glb=model/gltf-binary`
+ * @param {string|Object} value - config value (an object is used as-is)
+ * @returns {Object} { '.ext': 'type/subtype' }
+ * @throws {Error} on a malformed entry
+ */
+function parseContentTypeMap(value) {
+  const map = {};
+  if (!value) {
+    return map;
+  }
+  const entries = typeof value === 'object'
+    ? Object.entries(value)
+    : String(value).split(/[,;\n]/).filter(entry => entry.trim()).map(entry => entry.split('='));
+
+  for (const [ext, type] of entries) {
+    const key = normalizeExtension(ext);
+    const contentType = String(type || '').trim();
+    if (!key || !/^[\w.+-]+\/[\w.+-]+$/.test(contentType)) {
+      throw new Error(`Invalid content type mapping: ${[ext, type].filter(Boolean).join('=')}`);
+    }
+    map[key] = contentType;
+  }
+  return map;
+}
+
+function sameType(a, b) {
+  return (EQUIVALENT_TYPES[a] || a) === (EQUIVALENT_TYPES[b] || b);
+}
+
+/**
+ * Resolve the content type for an upload
+ * @param {Buffer} buffer
+ * @param {string} extname - file extension, with or without the dot
+ * @param {Object} customTypes - user mappings from parseContentTypeMap
+ * @returns {Object} { contentType, detected, byExtension, mismatch }
+ */
+function resolveContentType(buffer, extname, customTypes = {}) {
+  const ext = normalizeExtension(extname);
+  const custom = customTypes[ext];
+  const detected = detectContentType(buffer);
+  const byExtension = custom || EXTENSION_TYPES[ext] || null;
+
+  return {
+    contentType: custom || detected || byExtension || DEFAULT_CONTENT_TYPE,
+    detected,
+    byExtension,
+    // 用户自定义的映射视为有意为之，不提示
+    mismatch: Boolean(!custom && detected && byExtension && !sameType(detected, byExtension))
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTENT_TYPE,
+  EXTENSION_TYPES,
+  detectContentType,
+  parseContentTypeMap,
+  resolveContentType
+};
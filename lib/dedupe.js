@@ -0,0 +1,108 @@
+/**
+ * 基于内容哈希的上传去重
+ *
+ * 两种查找方式:
+ * 1. 对象键模板只由内容哈希等稳定字段组成时（例如 `{sha1}.{ext}`），相同内容
+ *    一定生成相同的键，直接检查该键在 B2 上是否存在且 contentSha1 一致
+ * 2. 其他模板使用本地索引（PicGo 配置目录下的 JSON 文件）记录 SHA1 → 文件名，
+ *    命中后再到 B2 确认文件仍然存在
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const INDEX_FILE_NAME = 'b2-dedupe-index.json';
+const HASH_PLACEHOLDER = /\{(sha1|md5|sha256)(:\d+)?\}/;
+const VOLATILE_PLACEHOLDER = /\{(year|month|day|hour|minute|second|timestamp|random|counter)(:\d+)?\}/;
+
+/**
+ * 模板是否只依赖文件内容（相同文件总是生成相同的键）
+ * @param {string} template
+ * @returns {boolean}
+ */
+function isContentAddressed(template) {
+  return !!template && HASH_PLACEHOLDER.test(template) && !VOLATILE_PLACEHOLDER.test(template);
+}
+
+/**
+ * 取 B2 文件对象的内容 SHA1
+ * 大文件的 contentSha1 为 none，实际值保存在 fileInfo.large_file_sha1；
+ * 未校验的值带有 unverified: 前缀
+ * @param {Object} file - B2 文件对象
+ * @returns {string|undefined}
+ */
+function getContentSha1(file) {
+  if (!file) {
+    return undefined;
+  }
+  let value = file.contentSha1;
+  if (!value || value === 'none') {
+    value = file.fileInfo && file.fileInfo.large_file_sha1;
+  }
+  if (value && value.startsWith('unverified:')) {
+    value = value.substring('unverified:'.length);
+  }
+  return value;
+}
+
+/**
+ * 默认索引文件位置（PicGo 配置目录）
+ * @param {Object} ctx - PicGo context
+ * @returns {string}
+ */
+function getDefaultIndexPath(ctx) {
+  const baseDir = (ctx && ctx.baseDir) || path.join(os.homedir(), '.picgo');
+  return path.join(baseDir, INDEX_FILE_NAME);
+}
+
+/**
+ * 本地去重索引: `${bucketId}:${sha1}` → { fileName, fileId }
+ */
+class DedupeIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (err) {
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+  }
+
+  get(bucketId, contentSha1) {
+    return this.load()[`${bucketId}:${contentSha1}`];
+  }
+
+  set(bucketId, contentSha1, info) {
+    this.load()[`${bucketId}:${contentSha1}`] = info;
+    this.save();
+  }
+
+  delete(bucketId, contentSha1) {
+    const key = `${bucketId}:${contentSha1}`;
+    if (this.load()[key]) {
+      delete this.entries[key];
+      this.save();
+    }
+  }
+}
+
+module.exports = {
+  DedupeIndex,
+  isContentAddressed,
+  getContentSha1,
+  getDefaultIndexPath
+};
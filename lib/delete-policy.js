@@ -0,0 +1,93 @@
+/**
+ * 云端文件删除策略
+ *
+ * - latest: 只删除最新版本（默认，与旧版行为一致）
+ * - all:    通过 b2_list_file_versions 删除该文件名的所有版本（含隐藏标记）
+ * - hide:   只调用 b2_hide_file 隐藏文件，历史版本保留，由生命周期规则清理
+ *
+ * 批量删除（按条件删除、孤立文件、目录同步）不使用 latest: 只删除最新版本时旧版本会重新出现在
+ * 同一文件名下，所以改为 all；hide 保持不变，隐藏后的文件名不会再出现。
+ */
+
+const { B2NotFoundError } = require('./errors');
+
+const DELETE_POLICIES = ['latest', 'all', 'hide'];
+const DEFAULT_DELETE_POLICY = 'latest';
+
+/**
+ * Read the delete policy from config
+ * @param {Object} config - picBed.b2 config
+ * @returns {string} one of DELETE_POLICIES
+ * @throws {Error} on an unknown policy
+ */
+function getDeletePolicy(config) {
+  const policy = (config && config.deletePolicy) || DEFAULT_DELETE_POLICY;
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown delete policy: ${policy} (expected ${DELETE_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Read the policy for deleting many files at once
+ * `latest` is replaced by `all` so that no older version takes the deleted one's place.
+ * @param {Object} config - picBed.b2 config
+ * @returns {string} 'all' or 'hide'
+ * @throws {Error} on an unknown policy
+ */
+function getBulkDeletePolicy(config) {
+  return getDeletePolicy(config) === 'hide' ? 'hide' : 'all';
+}
+
+/**
+ * Remove a file from B2 according to the delete policy
+ * @param {B2Client} client
+ * @param {string} bucketId
+ * @param {Object} file - { fileName, fileId }; fileId pins the version for the latest policy
+ * @param {string} policy - one of DELETE_POLICIES
+ * @returns {Promise<Object>} { policy, versions } - versions is the number of versions deleted or hidden, 0 if the file was gone
+ */
+async function removeFile(client, bucketId, file, policy) {
+  const { fileName } = file;
+
+  if (policy === 'hide') {
+    const latest = await client.getFileByName(bucketId, fileName);
+    if (!latest) {
+      return { policy, versions: 0 };
+    }
+    await client.hideFile(bucketId, fileName);
+    return { policy, versions: 1 };
+  }
+
+  let targets;
+  if (policy === 'all') {
+    targets = await client.getFileVersions(bucketId, fileName);
+  } else if (file.fileId) {
+    targets = [{ fileName, fileId: file.fileId }];
+  } else {
+    const latest = await client.getFileByName(bucketId, fileName);
+    targets = latest ? [latest] : [];
+  }
+
+  let versions = 0;
+  for (const target of targets) {
+    try {
+      await client.deleteFileVersion(target.fileName, target.fileId);
+      versions++;
+    } catch (err) {
+      // 已被其他操作删除的版本不算失败
+      if (!(err instanceof B2NotFoundError)) {
+        throw err;
+      }
+    }
+  }
+  return { policy, versions };
+}
+
+module.exports = {
+  DELETE_POLICIES,
+  DEFAULT_DELETE_POLICY,
+  getDeletePolicy,
+  getBulkDeletePolicy,
+  removeFile
+};
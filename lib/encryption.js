@@ -0,0 +1,111 @@
+/**
+ * 服务端加密（Server-Side Encryption）
+ *
+ * - none:   不加密（默认，使用 Bucket 的默认加密设置）
+ * - SSE-B2: B2 管理密钥，AES256
+ * - SSE-C:  客户提供的 AES256 密钥（32 字节，Base64 编码）。密钥来源（优先级从高到低）:
+ *   1. 配置项 picBed.b2.sseCustomerKey
+ *   2. 环境变量 PICGO_B2_SSE_C_KEY
+ *
+ * SSE-C 加密的文件下载时必须携带同一把密钥，普通链接无法访问，
+ * 因此只允许配合自定义域名（由 CDN / Worker 附加密钥请求头）使用。
+ * 列出、隐藏和删除文件不需要密钥。
+ */
+
+const crypto = require('crypto');
+
+const ENCRYPTION_MODES = ['none', 'SSE-B2', 'SSE-C'];
+const SSE_C_KEY_ENV = 'PICGO_B2_SSE_C_KEY';
+const ALGORITHM = 'AES256';
+const KEY_BYTES = 32;
+
+/**
+ * Read the encryption settings from config
+ * @param {Object} config - picBed.b2 config
+ * @returns {Object|null} B2 serverSideEncryption object, or null for none
+ * @throws {Error} on an unknown mode or a missing/invalid SSE-C key
+ */
+function getEncryption(config) {
+  const mode = (config && config.encryption) || 'none';
+  if (!ENCRYPTION_MODES.includes(mode)) {
+    throw new Error(`Unknown encryption mode: ${mode} (expected ${ENCRYPTION_MODES.join(', ')})`);
+  }
+  if (mode === 'none') {
+    return null;
+  }
+  if (mode === 'SSE-B2') {
+    return { mode, algorithm: ALGORITHM };
+  }
+
+  const customerKey = String(config.sseCustomerKey || process.env[SSE_C_KEY_ENV] || '').trim();
+  if (!customerKey) {
+    throw new Error(`SSE-C requires a customer key: set sseCustomerKey or the ${SSE_C_KEY_ENV} environment variable`);
+  }
+  const key = Buffer.from(customerKey, 'base64');
+  if (key.length !== KEY_BYTES || key.toString('base64') !== customerKey) {
+    throw new Error(`Invalid SSE-C customer key: expected ${KEY_BYTES} bytes encoded as Base64`);
+  }
+  return {
+    mode,
+    algorithm: ALGORITHM,
+    customerKey,
+    customerKeyMd5: crypto.createHash('md5').update(key).digest('base64')
+  };
+}
+
+/**
+ * Upload headers for the encryption settings
+ * B2 accepts X-Bz-Server-Side-Encryption only on whole-file uploads;
+ * parts of an SSE-C large file carry the customer key headers
+ * @param {Object|null} encryption - from getEncryption
+ * @param {boolean} forPart - headers for b2_upload_part
+ * @returns {Object}
+ */
+function getEncryptionHeaders(encryption, forPart = false) {
+  if (!encryption) {
+    return {};
+  }
+  if (encryption.mode === 'SSE-B2') {
+    return forPart ? {} : { 'X-Bz-Server-Side-Encryption': encryption.algorithm };
+  }
+  return {
+    'X-Bz-Server-Side-Encryption-Customer-Algorithm': encryption.algorithm,
+    'X-Bz-Server-Side-Encryption-Customer-Key': encryption.customerKey,
+    'X-Bz-Server-Side-Encryption-Customer-Key-Md5': encryption.customerKeyMd5
+  };
+}
+
+/**
+ * Refuse settings whose file URLs could never be served
+ * @param {Object|null} encryption - from getEncryption
+ * @param {Object} config - picBed.b2 config
+ * @throws {Error} for SSE-C without a custom domain
+ */
+function assertServableUrls(encryption, config) {
+  if (encryption && encryption.mode === 'SSE-C' && !config.customDomain) {
+    throw new Error('SSE-C encrypted files cannot be downloaded without the customer key; set a Custom Domain whose proxy adds the SSE-C headers');
+  }
+}
+
+/**
+ * Refuse to hand out a URL for a file that could never be served
+ * Checks the configured mode without reading the customer key, and the file's own
+ * mode when known (files keep the mode they were uploaded with after the setting changes).
+ * @param {Object} config - picBed.b2 config
+ * @param {Object} file - B2 file object or { fileName, fileId }
+ * @throws {Error} for SSE-C without a custom domain
+ */
+function assertServableFileUrl(config, file) {
+  const fileMode = file && file.serverSideEncryption && file.serverSideEncryption.mode;
+  const sseC = fileMode === 'SSE-C' || (config && config.encryption) === 'SSE-C';
+  assertServableUrls(sseC ? { mode: 'SSE-C' } : null, config);
+}
+
+module.exports = {
+  ENCRYPTION_MODES,
+  SSE_C_KEY_ENV,
+  getEncryption,
+  getEncryptionHeaders,
+  assertServableUrls,
+  assertServableFileUrl
+};
@@ -0,0 +1,40 @@
+/**
+ * B2 授权端点
+ *
+ * 默认使用 https://api.backblazeb2.com。为了在 CI 中指向本地模拟服务器，
+ * 或使用其他区域，可以通过以下方式覆盖（优先级从高到低）:
+ * 1. 配置项 picBed.b2.apiEndpoint（隐藏的高级选项，需手动写入配置文件）
+ * 2. 环境变量 PICGO_B2_API_ENDPOINT
+ *
+ * 授权之后的请求都使用 B2 返回的 apiUrl / downloadUrl / uploadUrl，
+ * 其协议和端口以返回的 URL 为准。
+ */
+
+const DEFAULT_API_ENDPOINT = 'https://api.backblazeb2.com';
+const API_ENDPOINT_ENV = 'PICGO_B2_API_ENDPOINT';
+
+/**
+ * 获取授权端点（不含结尾的 /）
+ * @param {Object} config - picBed.b2 配置
+ * @returns {string}
+ */
+function getApiEndpoint(config) {
+  const endpoint = (config && config.apiEndpoint) || process.env[API_ENDPOINT_ENV] || DEFAULT_API_ENDPOINT;
+  return endpoint.replace(/\/+$/, '');
+}
+
+/**
+ * 获取 b2_authorize_account 的完整 URL
+ * @param {Object} config - picBed.b2 配置
+ * @returns {string}
+ */
+function getAuthorizeUrl(config) {
+  return `${getApiEndpoint(config)}/b2api/v4/b2_authorize_account`;
+}
+
+module.exports = {
+  DEFAULT_API_ENDPOINT,
+  API_ENDPOINT_ENV,
+  getApiEndpoint,
+  getAuthorizeUrl
+};
@@ -0,0 +1,97 @@
+/**
+ * B2 错误类型
+ *
+ * 所有 B2 请求失败都抛出 B2Error（或其子类），统一携带:
+ * - status: HTTP 状态码（连接错误时为 undefined）
+ * - code: B2 错误码（如 expired_auth_token），连接错误时为 Node 错误码（如 ECONNRESET）
+ * - retryAfter: Retry-After 响应头换算的毫秒数
+ */
+
+const { parseRetryAfter } = require('./retry');
+
+const AUTH_ERROR_CODES = ['unauthorized', 'bad_auth_token', 'expired_auth_token', 'access_denied'];
+const NOT_FOUND_CODES = ['not_found', 'file_not_present', 'no_such_file'];
+
+class B2Error extends Error {
+  constructor(message, { status, code, retryAfter } = {}) {
+    super(message);
+    this.name = 'B2Error';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 授权失败、令牌失效或密钥权限不足
+ */
+class B2AuthError extends B2Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'B2AuthError';
+  }
+}
+
+/**
+ * 文件或 Bucket 不存在
+ */
+class B2NotFoundError extends B2Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'B2NotFoundError';
+  }
+}
+
+/**
+ * 响应不是预期的 JSON 结构
+ */
+class B2ResponseError extends B2Error {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'B2ResponseError';
+  }
+}
+
+/**
+ * 根据 B2 错误响应构造对应类型的错误
+ * @param {string} prefix - 描述失败的操作，如 "Upload failed"
+ * @param {Object} response - { status, headers, body }
+ * @returns {B2Error}
+ */
+function createB2Error(prefix, response) {
+  const { status, headers = {} } = response;
+  const body = response.body && typeof response.body === 'object' ? response.body : {};
+  const details = {
+    status,
+    code: body.code,
+    retryAfter: parseRetryAfter(headers['retry-after'])
+  };
+  const message = `${prefix}: ${body.message || body.code || `HTTP ${status}`}`;
+
+  if (status === 401 || AUTH_ERROR_CODES.includes(body.code)) {
+    return new B2AuthError(message, details);
+  }
+  if (status === 404 || NOT_FOUND_CODES.includes(body.code)) {
+    return new B2NotFoundError(message, details);
+  }
+  return new B2Error(message, details);
+}
+
+/**
+ * 包装连接层错误（连接被重置、超时等）
+ * @param {string} prefix
+ * @param {Error} err
+ * @returns {B2Error}
+ */
+function createNetworkError(prefix, err) {
+  return new B2Error(`${prefix}: ${err.message}`, { code: err.code });
+}
+
+module.exports = {
+  B2Error,
+  B2AuthError,
+  B2NotFoundError,
+  B2ResponseError,
+  createB2Error,
+  createNetworkError
+};
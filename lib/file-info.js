@@ -0,0 +1,158 @@
+/**
+ * 自定义 B2 file info（上传时以 X-Bz-Info-* 请求头发送）
+ *
+ * B2 下载文件时会把以下特殊 file info 作为响应头返回:
+ * - b2-cache-control       → Cache-Control
+ * - b2-content-disposition → Content-Disposition
+ * - b2-content-language    → Content-Language
+ * - b2-expires             → Expires
+ *
+ * 值支持占位符:
+ * - {originalName}  原文件名（含扩展名）
+ * - {name} {ext}    原文件名（不含扩展名）、扩展名（不含 .）
+ * - {fileName}      B2 中的文件名（对象键）
+ * - {sha1}          文件内容 SHA1
+ * - {contentType}   上传使用的 Content-Type
+ * - {timestamp}     上传时间（毫秒时间戳）
+ * - {date}          上传时间（ISO 8601）
+ */
+
+const crypto = require('crypto');
+const { splitFileName } = require('./key-template');
+
+// 配置项与 B2 特殊 file info 的对应关系
+const SPECIAL_FILE_INFO = {
+  cacheControl: 'b2-cache-control',
+  contentDisposition: 'b2-content-disposition',
+  contentLanguage: 'b2-content-language',
+  expires: 'b2-expires'
+};
+const B2_FILE_INFO_NAMES = [...Object.values(SPECIAL_FILE_INFO), 'b2-content-encoding'];
+
+// B2 最多允许 10 个 file info，大文件需要留一个给 large_file_sha1
+const MAX_FILE_INFO_ENTRIES = 9;
+// 文件名与 file info 请求头合计不能超过 7000 字节
+const MAX_HEADER_BYTES = 7000;
+const FILE_INFO_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,50}$/;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Parse custom `name=value` file info entries from config
+ * Entries are separated by semicolons, e.g. `source=picgo; author=me`.
+ * Use the dedicated settings for values that contain semicolons, such as Content-Disposition.
+ * @param {string|Object} value - config value (an object is used as-is)
+ * @returns {Object} { name: value }
+ * @throws {Error} on a malformed entry
+ */
+function parseFileInfo(value) {
+  const info = {};
+  if (!value) {
+    return info;
+  }
+  const entries = typeof value === 'object'
+    ? Object.entries(value)
+    : String(value).split(';').filter(entry => entry.trim()).map((entry) => {
+      const index = entry.indexOf('=');
+      return index === -1 ? [entry, undefined] : [entry.substring(0, index), entry.substring(index + 1)];
+    });
+
+  for (const [name, entryValue] of entries) {
+    if (entryValue === undefined) {
+      throw new Error(`Invalid file info entry: ${name.trim()} (expected name=value)`);
+    }
+    info[name.trim()] = String(entryValue).trim();
+  }
+  return info;
+}
+
+/**
+ * Collect file info templates from config: the dedicated settings plus custom entries
+ * @param {Object} config - picBed.b2 config
+ * @returns {Object} { name: template }
+ * @throws {Error} on invalid names or too many entries
+ */
+function getFileInfoTemplates(config) {
+  const templates = parseFileInfo(config.fileInfo);
+  for (const [key, name] of Object.entries(SPECIAL_FILE_INFO)) {
+    if (config[key]) {
+      templates[name] = String(config[key]).trim();
+    }
+  }
+
+  const names = Object.keys(templates);
+  for (const name of names) {
+    if (!FILE_INFO_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid file info name "${name}": use up to 50 letters, digits, "-", "_" or "."`);
+    }
+    if (name.toLowerCase().startsWith('b2-') && !B2_FILE_INFO_NAMES.includes(name.toLowerCase())) {
+      throw new Error(`Invalid file info name "${name}": B2 reserves the b2- prefix for ${B2_FILE_INFO_NAMES.join(', ')}`);
+    }
+  }
+  if (names.length > MAX_FILE_INFO_ENTRIES) {
+    throw new Error(`Too many file info entries: ${names.length} (at most ${MAX_FILE_INFO_ENTRIES})`);
+  }
+  return templates;
+}
+
+/**
+ * Render file info templates for one upload and check the header budget
+ * @param {Object} templates - from getFileInfoTemplates
+ * @param {Object} context - { originalName, fileName, buffer, contentType, date }
+ * @returns {Object} { name: value }
+ * @throws {Error} on unknown placeholders or when the headers exceed 7000 bytes
+ */
+function renderFileInfo(templates, context) {
+  const date = context.date || new Date();
+  const { name, ext } = splitFileName(context.originalName || '');
+  let contentSha1;
+
+  const info = {};
+  for (const [infoName, template] of Object.entries(templates)) {
+    info[infoName] = template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      switch (key) {
+        case 'originalName': return context.originalName || '';
+        case 'name': return name;
+        case 'ext': return ext;
+        case 'fileName': return context.fileName;
+        case 'contentType': return context.contentType || '';
+        case 'timestamp': return String(date.getTime());
+        case 'date': return date.toISOString();
+        case 'sha1':
+          if (!contentSha1) {
+            contentSha1 = crypto.createHash('sha1').update(context.buffer).digest('hex');
+          }
+          return contentSha1;
+        default:
+          throw new Error(`Unknown file info placeholder in ${infoName}: ${match}`);
+      }
+    });
+  }
+
+  const bytes = getHeaderBytes(context.fileName, info);
+  if (bytes > MAX_HEADER_BYTES) {
+    throw new Error(`File name and file info headers for ${context.fileName} take ${bytes} bytes, over B2's ${MAX_HEADER_BYTES}-byte limit`);
+  }
+  return info;
+}
+
+/**
+ * Size of the X-Bz-File-Name and X-Bz-Info-* headers as sent (values percent-encoded)
+ * @param {string} fileName
+ * @param {Object} info
+ * @returns {number}
+ */
+function getHeaderBytes(fileName, info) {
+  let bytes = `X-Bz-File-Name: ${encodeURIComponent(fileName)}`.length;
+  for (const [name, value] of Object.entries(info)) {
+    bytes += `X-Bz-Info-${name}: ${encodeURIComponent(value)}`.length;
+  }
+  return bytes;
+}
+
+module.exports = {
+  SPECIAL_FILE_INFO,
+  MAX_HEADER_BYTES,
+  parseFileInfo,
+  getFileInfoTemplates,
+  renderFileInfo
+};
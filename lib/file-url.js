@@ -0,0 +1,153 @@
+/**
+ * 文件访问链接
+ *
+ * 链接由 URL 模板生成，支持的占位符:
+ * - {domain}  自定义域名，未配置时为 B2 下载地址
+ * - {bucket}  Bucket 名称
+ * - {path}    文件名，按 / 分段编码（保留目录分隔符）
+ * - {fileId}  B2 文件 ID
+ * - {ext}     扩展名（不含 .）
+ *
+ * 未配置模板时，B2 下载地址使用 `{domain}/file/{bucket}/{path}`，
+ * 自定义域名使用 `{domain}/{path}`。模板之后可再附加固定后缀（如 `?width=800`）。
+ *
+ * 公开 Bucket 直接使用下载地址；私有 Bucket 通过 b2_get_download_authorization
+ * 获取下载授权令牌，以 `Authorization` 参数附加在链接上。
+ */
+
+const { toPositiveNumber } = require('./config');
+const { splitFileName } = require('./key-template');
+const { assertServableFileUrl } = require('./encryption');
+
+const DEFAULT_URL_TEMPLATE = '{domain}/file/{bucket}/{path}';
+const CUSTOM_DOMAIN_URL_TEMPLATE = '{domain}/{path}';
+const URL_PLACEHOLDERS = ['domain', 'bucket', 'path', 'fileId', 'ext'];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// B2 下载授权的最长有效期为 7 天
+const MAX_DOWNLOAD_AUTH_DURATION = 7 * 24 * 60 * 60;
+const DEFAULT_DOWNLOAD_AUTH_DURATION = MAX_DOWNLOAD_AUTH_DURATION;
+
+/**
+ * 按段编码文件名，保留 / 分隔符
+ * @param {string} fileName
+ * @returns {string}
+ */
+function encodeFilePath(fileName) {
+  return fileName.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * 校验 URL 模板中的占位符，在上传前发现配置错误
+ * @param {string} template
+ * @throws {Error} 模板含未知占位符时抛出
+ */
+function validateUrlTemplate(template) {
+  for (const [match, key] of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!URL_PLACEHOLDERS.includes(key)) {
+      throw new Error(`Unknown URL template placeholder: ${match}`);
+    }
+  }
+}
+
+/**
+ * Build the URL for a file from the URL template
+ * @param {Object} options
+ * @param {string} options.downloadUrl - B2 download URL from authorization
+ * @param {string} options.bucketName
+ * @param {string} options.fileName
+ * @param {string} options.fileId
+ * @param {string} options.customDomain
+ * @param {string} options.urlTemplate - empty for the default layout
+ * @param {string} options.urlSuffix - appended verbatim, e.g. `?width=800`
+ * @returns {string}
+ * @throws {Error} on unknown placeholders
+ */
+function buildFileUrl(options) {
+  const { bucketName, fileName, fileId, customDomain, urlTemplate, urlSuffix } = options;
+  const domain = (customDomain || options.downloadUrl).replace(/\/+$/, '');
+  const template = urlTemplate || (customDomain ? CUSTOM_DOMAIN_URL_TEMPLATE : DEFAULT_URL_TEMPLATE);
+
+  const url = template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+    switch (key) {
+      case 'domain': return domain;
+      case 'bucket': return encodeURIComponent(bucketName);
+      case 'path': return encodeFilePath(fileName);
+      case 'fileId': return encodeURIComponent(fileId || '');
+      case 'ext': return encodeURIComponent(splitFileName(fileName.substring(fileName.lastIndexOf('/') + 1)).ext);
+      default:
+        throw new Error(`Unknown URL template placeholder: ${match}`);
+    }
+  });
+  return url + (urlSuffix || '');
+}
+
+/**
+ * Append a download authorization token to a file URL
+ * @param {string} fileUrl 
+ * @param {string} token 
+ * @returns {string}
+ */
+function appendDownloadAuthorization(fileUrl, token) {
+  const separator = fileUrl.includes('?') ? '&' : '?';
+  return `${fileUrl}${separator}Authorization=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Read the signed link validity from config, clamped to B2's 1s..7d range
+ * @param {Object} config - picBed.b2 config
+ * @returns {number} seconds
+ */
+function getDownloadAuthDuration(config) {
+  const duration = Math.floor(toPositiveNumber(config.downloadAuthDuration, DEFAULT_DOWNLOAD_AUTH_DURATION));
+  return Math.min(Math.max(duration, 1), MAX_DOWNLOAD_AUTH_DURATION);
+}
+
+/**
+ * Build the URL for a file, signed with a download authorization for private buckets
+ * @param {B2Client} client 
+ * @param {Object} config - picBed.b2 config
+ * @param {Object} file - { fileName, fileId }, or a B2 file object
+ * @returns {Promise<string>}
+ * @throws {Error} for SSE-C files without a custom domain, whose plain URLs cannot be served
+ */
+async function resolveFileUrl(client, config, file) {
+  assertServableFileUrl(config, file);
+  const auth = await client.authorize();
+  let fileId = file.fileId;
+  if (!fileId && (config.urlTemplate || '').includes('{fileId}')) {
+    const existing = await client.getFileByName(config.bucketId, file.fileName);
+    fileId = existing && existing.fileId;
+  }
+
+  const fileUrl = buildFileUrl({
+    downloadUrl: auth.downloadUrl,
+    bucketName: config.bucketName,
+    fileName: file.fileName,
+    fileId,
+    customDomain: config.customDomain,
+    urlTemplate: config.urlTemplate,
+    urlSuffix: config.urlSuffix
+  });
+  if (!config.privateBucket) {
+    return fileUrl;
+  }
+  const { authorizationToken } = await client.getDownloadAuthorization(
+    config.bucketId,
+    file.fileName,
+    getDownloadAuthDuration(config)
+  );
+  return appendDownloadAuthorization(fileUrl, authorizationToken);
+}
+
+module.exports = {
+  DEFAULT_DOWNLOAD_AUTH_DURATION,
+  MAX_DOWNLOAD_AUTH_DURATION,
+  DEFAULT_URL_TEMPLATE,
+  buildFileUrl,
+  encodeFilePath,
+  validateUrlTemplate,
+  appendDownloadAuthorization,
+  getDownloadAuthDuration,
+  resolveFileUrl
+};
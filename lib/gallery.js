@@ -0,0 +1,209 @@
+/**
+ * PicGo 相册条目与 B2 文件的对应关系
+ *
+ * 上传时在相册条目的 item.b2 中记录 fileId、fileName、bucketId、contentSha1 和配置档案，
+ * 删除同步和相册核对都据此找到对应的 B2 文件；旧条目没有记录时从链接中解析文件名。
+ * 相册核对只认 `<downloadUrl>/file/<bucketName>/…` 和自定义域名下的旧链接，
+ * 其他 Bucket 或其他域名的链接无法确定对应的文件，不参与核对。
+ * 上传去重时复用已有文件的条目带有 reused 标记，多个条目可能指向同一个 fileId。
+ *
+ * 相册核对: 列出 Bucket 中插件上传范围内（Path Prefix 和应用密钥的 namePrefix）的文件，
+ * 与属于该 Bucket、同一范围内的相册条目按文件名比较，找出
+ * - 孤立文件: Bucket 中有、相册中没有（例如在其他电脑上传，或相册删除同步失败）
+ * - 失效条目: 相册中有、Bucket 中已不存在
+ */
+
+const { URL } = require('url');
+const { getContentSha1 } = require('./dedupe');
+
+const GALLERY_TYPE = 'b2';
+
+/**
+ * Identifiers stored on the gallery item so the file can be deleted exactly later
+ * @param {Object} file - B2 file object returned by the upload or a lookup
+ * @param {string} bucketId
+ * @param {string} fileName - fallback when the response has no fileName
+ * @param {string} profile - active profile name, if any
+ * @returns {Object} { fileId, fileName, bucketId, contentSha1, profile }
+ */
+function describeFile(file, bucketId, fileName, profile) {
+  return {
+    fileId: file?.fileId || '',
+    fileName: file?.fileName || fileName,
+    bucketId: file?.bucketId || bucketId,
+    contentSha1: getContentSha1(file) || '',
+    ...(profile ? { profile } : {})
+  };
+}
+
+/**
+ * 从 URL 中提取文件名（仅用于没有记录 item.b2 的旧相册条目）
+ * B2 URL 格式: https://f004.backblazeb2.com/file/bucket-name/path/to/file.png
+ * 路径按段解码，查询参数（如签名链接的 Authorization）不属于文件名
+ */
+function extractFileNameFromUrl(fileUrl, bucketName) {
+  try {
+    const url = new URL(fileUrl);
+    // 路径格式: /file/bucket-name/path/to/file.png
+    const pathParts = url.pathname.split('/').map(decodeURIComponent);
+    // 去掉开头的 '' 和 'file' 和 bucketName
+    // ['', 'file', 'bucket-name', 'path', 'to', 'file.png']
+    if (pathParts.length >= 3 && pathParts[1] === 'file' && pathParts[2] === bucketName) {
+      return pathParts.slice(3).join('/');
+    }
+    // 如果是自定义域名，路径就是完整的
+    return pathParts.slice(1).join('/'); // 去掉开头的 /
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * 旧条目链接对应的文件名: 链接须为 `<downloadUrl>/file/<bucketName>/…` 或位于自定义域名下，否则返回 null
+ */
+function extractOwnFileName(fileUrl, config) {
+  const bases = [];
+  if (config.downloadUrl) {
+    bases.push(`${config.downloadUrl.replace(/\/+$/, '')}/file/${encodeURIComponent(config.bucketName)}/`);
+  }
+  if (config.customDomain) {
+    bases.push(`${config.customDomain.replace(/\/+$/, '')}/`);
+  }
+
+  try {
+    const url = new URL(fileUrl);
+    // 按 URL 规范化后比较，主机名大小写和默认端口不影响结果
+    const address = `${url.origin}${url.pathname}`;
+    const base = bases.map(prefix => new URL(prefix).href).find(prefix => address.startsWith(prefix));
+    return base ? address.substring(base.length).split('/').map(decodeURIComponent).join('/') || null : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read every item from PicGo's gallery database
+ * Newer PicGo versions resolve `{ total, data }`, older ones an array.
+ * @param {Object} galleryDB - guiApi.galleryDB
+ * @returns {Promise<Array<Object>>}
+ */
+async function getGalleryItems(galleryDB) {
+  const result = await galleryDB.get();
+  return Array.isArray(result) ? result : (result && result.data) || [];
+}
+
+/**
+ * Add items to PicGo's gallery database
+ * @param {Object} galleryDB - guiApi.galleryDB
+ * @param {Array<Object>} items
+ * @returns {Promise<void>}
+ */
+async function addGalleryItems(galleryDB, items) {
+  if (typeof galleryDB.insertMany === 'function') {
+    await galleryDB.insertMany(items);
+    return;
+  }
+  for (const item of items) {
+    await galleryDB.insert(item);
+  }
+}
+
+/**
+ * The B2 file name of a gallery entry in the given bucket
+ * Entries without item.b2 are only claimed when their URL is `<downloadUrl>/file/<bucketName>/…`
+ * or under the custom domain.
+ * @param {Object} entry - gallery item
+ * @param {Object} config - picBed.b2 config with bucketId, bucketName, activeProfile, customDomain
+ *   and the downloadUrl from the authorization
+ * @returns {string|null} null for entries of other uploaders, buckets, profiles or hosts
+ */
+function getEntryFileName(entry, config) {
+  if (entry.type !== GALLERY_TYPE) {
+    return null;
+  }
+  const b2 = entry.b2;
+  if (b2 && b2.fileName) {
+    const sameBucket = !b2.bucketId || b2.bucketId === config.bucketId;
+    const sameProfile = !b2.profile || !config.activeProfile || b2.profile === config.activeProfile;
+    return sameBucket && sameProfile ? b2.fileName : null;
+  }
+  return extractOwnFileName(entry.imgUrl, config);
+}
+
+/**
+ * Whether a gallery entry that is not being removed still points to the same B2 file
+ * Dedupe gives every entry that reused a file the fileId of that file.
+ * @param {Array<Object>} entries - every gallery item
+ * @param {Array<Object>} removed - gallery items being removed
+ * @param {Object} b2 - item.b2 of a removed item
+ * @returns {boolean}
+ */
+function isStillReferenced(entries, removed, b2) {
+  const removedIds = new Set(removed.map(entry => entry.id).filter(Boolean));
+  return entries.some(entry => entry.type === GALLERY_TYPE
+    && !removedIds.has(entry.id)
+    && entry.b2 && entry.b2.fileId === b2.fileId);
+}
+
+/**
+ * Compare the bucket with the gallery
+ * @param {Array<Object>} files - every file under the prefix (latest versions)
+ * @param {Array<Object>} entries - every gallery item
+ * @param {Object} config - see getEntryFileName
+ * @param {string} prefix - the listed prefix; entries outside it are left alone
+ * @returns {Object} { matched, orphans, dead } - orphans are B2 files without a gallery entry,
+ *   dead are gallery entries whose file is gone; matched is the number of files found in both
+ */
+function reconcile(files, entries, config, prefix = '') {
+  const fileNames = new Set(files.map(file => file.fileName));
+  const referenced = new Set();
+  const dead = [];
+
+  for (const entry of entries) {
+    const fileName = getEntryFileName(entry, config);
+    if (!fileName || !fileName.startsWith(prefix)) {
+      continue;
+    }
+    if (fileNames.has(fileName)) {
+      referenced.add(fileName);
+    } else {
+      dead.push(entry);
+    }
+  }
+
+  return {
+    matched: referenced.size,
+    orphans: files.filter(file => !referenced.has(file.fileName)),
+    dead
+  };
+}
+
+/**
+ * Gallery item for a B2 file that was not uploaded from this PicGo
+ * @param {Object} file - B2 file object
+ * @param {string} fileUrl
+ * @param {Object} config - picBed.b2 config with bucketId and activeProfile
+ * @returns {Object}
+ */
+function toGalleryItem(file, fileUrl, config) {
+  const baseName = file.fileName.split('/').pop();
+  const dot = baseName.lastIndexOf('.');
+  return {
+    fileName: baseName,
+    extname: dot > 0 ? baseName.substring(dot) : '',
+    imgUrl: fileUrl,
+    type: GALLERY_TYPE,
+    b2: describeFile(file, config.bucketId, file.fileName, config.activeProfile)
+  };
+}
+
+module.exports = {
+  describeFile,
+  extractFileNameFromUrl,
+  getGalleryItems,
+  addGalleryItems,
+  getEntryFileName,
+  isStillReferenced,
+  reconcile,
+  toGalleryItem
+};
@@ -0,0 +1,80 @@
+/**
+ * 文件名 glob 匹配
+ *
+ * - *   匹配任意字符（不含 /）
+ * - **  匹配任意字符（含 /）；紧跟 / 时也可以匹配零层目录（例如 photos 下任意层级的 png 也包括 photos/a.png）
+ * - ?   匹配单个字符（不含 /）
+ * - [abc] [a-z] [!abc]  字符集合
+ * 其余字符按字面匹配，模式需要匹配完整的文件名。
+ */
+
+const SPECIAL_CHARACTERS = /[.+^${}()|\\]/;
+
+/**
+ * Compile a glob pattern into a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {Error} on an unterminated character class
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        throw new Error(`Invalid glob pattern "${pattern}": unterminated [`);
+      }
+      const set = pattern.substring(i + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^${set.substring(1)}]` : `[${set}]`;
+      i = end;
+    } else {
+      source += SPECIAL_CHARACTERS.test(char) ? `\\${char}` : char;
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * The literal part of a pattern before its first wildcard, usable as a listing prefix
+ * @param {string} pattern
+ * @returns {string}
+ */
+function globPrefix(pattern) {
+  const index = pattern.search(/[*?[]/);
+  return index === -1 ? pattern : pattern.substring(0, index);
+}
+
+/**
+ * Build a matcher from include and exclude patterns
+ * With no include patterns every name is included.
+ * @param {Array<string>} include
+ * @param {Array<string>} exclude
+ * @returns {Function} (name) => boolean
+ */
+function createMatcher(include = [], exclude = []) {
+  const included = include.map(globToRegExp);
+  const excluded = exclude.map(globToRegExp);
+  return (name) => (included.length === 0 || included.some(re => re.test(name)))
+    && !excluded.some(re => re.test(name));
+}
+
+module.exports = {
+  globToRegExp,
+  globPrefix,
+  createMatcher
+};
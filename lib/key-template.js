@@ -0,0 +1,153 @@
+/**
+ * 对象键（B2 文件名）模板
+ *
+ * 支持的占位符:
+ * - {year} {month} {day} {hour} {minute} {second}  上传时间（本地时区，补零）
+ * - {timestamp}       毫秒时间戳
+ * - {name}            原文件名（不含扩展名）
+ * - {slug}            原文件名的 slug 形式（小写字母、数字和 -）
+ * - {ext}             扩展名（不含 .）
+ * - {sha1} {md5} {sha256}  文件内容哈希，可用 {sha1:8} 截取前 8 位
+ * - {random}          随机字符串，默认 6 位，可用 {random:10} 指定长度
+ * - {counter}         本次批量上传中的序号（从 1 开始），可用 {counter:3} 补零到 3 位
+ *
+ * 例如 `blog/{year}/{month}/{sha1:8}.{ext}`
+ */
+
+const crypto = require('crypto');
+
+// 与旧版 generateUniqueFileName 的格式一致: name_timestamp_random.ext
+const DEFAULT_KEY_TEMPLATE = '{name}_{timestamp}_{random:6}.{ext}';
+const HASH_ALGORITHMS = ['sha1', 'md5', 'sha256'];
+const MAX_FILE_NAME_BYTES = 1024;
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+/**
+ * 拆分文件名与扩展名
+ * @param {string} fileName
+ * @returns {Object} { name, ext }
+ */
+function splitFileName(fileName) {
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex <= 0) {
+    return { name: fileName, ext: '' };
+  }
+  return {
+    name: fileName.substring(0, dotIndex),
+    ext: fileName.substring(dotIndex + 1)
+  };
+}
+
+/**
+ * 转换为 URL 友好的 slug
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  const slug = value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'file';
+}
+
+function randomString(length) {
+  let result = '';
+  while (result.length < length) {
+    result += Math.random().toString(36).substring(2);
+  }
+  return result.substring(0, length);
+}
+
+/**
+ * 校验 B2 文件名
+ * B2 规则: UTF-8 不超过 1024 字节，不能包含编码小于 32 的字符、DEL 和反斜杠，
+ * 不能以 / 开头或结尾，也不能包含 //
+ * @param {string} fileName
+ * @throws {Error} 文件名不合法时抛出，说明具体原因
+ */
+function validateFileName(fileName) {
+  if (!fileName) {
+    throw new Error('Invalid B2 file name: name is empty');
+  }
+  if (Buffer.byteLength(fileName, 'utf8') > MAX_FILE_NAME_BYTES) {
+    throw new Error(`Invalid B2 file name: longer than ${MAX_FILE_NAME_BYTES} bytes`);
+  }
+  if (/[\u0000-\u001f\u007f]/.test(fileName)) {
+    throw new Error(`Invalid B2 file name "${fileName}": control characters are not allowed`);
+  }
+  if (fileName.includes('\\')) {
+    throw new Error(`Invalid B2 file name "${fileName}": backslashes are not allowed`);
+  }
+  if (fileName.startsWith('/') || fileName.endsWith('/')) {
+    throw new Error(`Invalid B2 file name "${fileName}": cannot start or end with "/"`);
+  }
+  if (fileName.includes('//')) {
+    throw new Error(`Invalid B2 file name "${fileName}": cannot contain "//"`);
+  }
+}
+
+/**
+ * 按模板生成对象键
+ * @param {string} template - 为空时使用 DEFAULT_KEY_TEMPLATE
+ * @param {Object} context
+ * @param {string} context.fileName - 原文件名
+ * @param {Buffer} context.buffer - 文件内容（用于哈希占位符）
+ * @param {Date} context.date - 上传时间，默认当前时间
+ * @param {number} context.counter - 批量上传中的序号（从 1 开始）
+ * @returns {string}
+ * @throws {Error} 模板含未知占位符或生成的文件名不合法时抛出
+ */
+function renderKeyTemplate(template, context) {
+  const date = context.date || new Date();
+  const { name, ext } = splitFileName(context.fileName || '');
+  const hashes = {};
+
+  const rendered = (template || DEFAULT_KEY_TEMPLATE).replace(PLACEHOLDER_PATTERN, (match, key, arg) => {
+    const length = arg ? Number(arg) : undefined;
+    switch (key) {
+      case 'year': return String(date.getFullYear());
+      case 'month': return pad(date.getMonth() + 1, 2);
+      case 'day': return pad(date.getDate(), 2);
+      case 'hour': return pad(date.getHours(), 2);
+      case 'minute': return pad(date.getMinutes(), 2);
+      case 'second': return pad(date.getSeconds(), 2);
+      case 'timestamp': return String(date.getTime());
+      case 'name': return name;
+      case 'slug': return slugify(name);
+      case 'ext': return ext;
+      case 'random': return randomString(length || 6);
+      case 'counter': return pad(context.counter || 1, length || 1);
+      default:
+        if (HASH_ALGORITHMS.includes(key)) {
+          if (!context.buffer) {
+            throw new Error(`Key template placeholder ${match} requires file content`);
+          }
+          if (!hashes[key]) {
+            hashes[key] = crypto.createHash(key).update(context.buffer).digest('hex');
+          }
+          return length ? hashes[key].substring(0, length) : hashes[key];
+        }
+        throw new Error(`Unknown key template placeholder: ${match}`);
+    }
+  });
+
+  // 没有扩展名时去掉 `.{ext}` 留下的结尾 .
+  const fileName = rendered.replace(/\.$/, '');
+  validateFileName(fileName);
+  return fileName;
+}
+
+module.exports = {
+  DEFAULT_KEY_TEMPLATE,
+  renderKeyTemplate,
+  validateFileName,
+  slugify,
+  splitFileName
+};
@@ -0,0 +1,105 @@
+/**
+ * 命名配置档案（profiles）
+ *
+ * 每个档案是一份完整的 B2 设置快照（密钥、Bucket、域名、前缀、模板等），
+ * 保存在 picBed.b2.profiles 中，当前使用的档案名记录在 picBed.b2.activeProfile。
+ *
+ * 切换档案时把档案中的设置写回 picBed.b2 顶层，因此上传器和 PicGo 的设置界面
+ * 始终使用、显示当前档案；切换前会先把顶层设置保存回原档案，避免在设置界面中的修改丢失。
+ */
+
+const PROFILES_KEY = 'picBed.b2';
+const PROFILE_NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * 去掉档案相关字段后的设置快照
+ * @param {Object} config - picBed.b2 config
+ * @returns {Object}
+ */
+function snapshot(config) {
+  const { profiles, activeProfile, ...settings } = config || {};
+  return settings;
+}
+
+/**
+ * List the saved profile names
+ * @param {Object} config - picBed.b2 config
+ * @returns {Array<string>}
+ */
+function listProfiles(config) {
+  return Object.keys((config && config.profiles) || {});
+}
+
+function validateProfileName(name) {
+  if (!PROFILE_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid profile name "${name}": use up to 64 letters, digits, "_", "-" or "."`);
+  }
+}
+
+/**
+ * Save the current settings as a named profile and make it active
+ * @param {Object} ctx - PicGo context
+ * @param {string} name
+ * @returns {Object} the saved settings
+ */
+function saveProfile(ctx, name) {
+  validateProfileName(name);
+  const config = ctx.getConfig(PROFILES_KEY) || {};
+  const settings = snapshot(config);
+  ctx.saveConfig({
+    [PROFILES_KEY]: {
+      ...config,
+      profiles: { ...config.profiles, [name]: settings },
+      activeProfile: name
+    }
+  });
+  return settings;
+}
+
+/**
+ * Switch to a saved profile
+ * @param {Object} ctx - PicGo context
+ * @param {string} name
+ * @returns {Object} the new picBed.b2 config
+ * @throws {Error} if the profile does not exist
+ */
+function useProfile(ctx, name) {
+  const config = ctx.getConfig(PROFILES_KEY) || {};
+  const profiles = { ...config.profiles };
+  if (!profiles[name]) {
+    const names = listProfiles(config);
+    throw new Error(`Unknown B2 profile "${name}"${names.length ? ` (available: ${names.join(', ')})` : ''}`);
+  }
+
+  // 先保存当前档案在设置界面中的修改
+  if (config.activeProfile && profiles[config.activeProfile]) {
+    profiles[config.activeProfile] = snapshot(config);
+  }
+
+  const next = { ...profiles[name], profiles, activeProfile: name };
+  ctx.saveConfig({ [PROFILES_KEY]: next });
+  return next;
+}
+
+/**
+ * Settings for a profile, used to act on files uploaded under it
+ * The active profile (or no profile) resolves to the live top-level settings.
+ * @param {Object} ctx - PicGo context
+ * @param {string} name - profile name recorded on the gallery item, may be empty
+ * @returns {Object|undefined} picBed.b2-shaped config, or undefined if unavailable
+ */
+function getProfileConfig(ctx, name) {
+  const config = ctx.getConfig(PROFILES_KEY);
+  if (!config || !name || name === config.activeProfile) {
+    return config;
+  }
+  const settings = config.profiles && config.profiles[name];
+  return settings ? { ...settings, activeProfile: name } : undefined;
+}
+
+module.exports = {
+  listProfiles,
+  saveProfile,
+  useProfile,
+  getProfileConfig
+};
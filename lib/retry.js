@@ -0,0 +1,136 @@
+/**
+ * B2 请求重试
+ *
+ * B2 文档要求客户端在收到 503 / 429 或连接错误时重试：
+ * - 429：等待 Retry-After（或退避时间）后用同一个上传 URL 重试
+ * - 503、408、500 与连接错误：退避后换一个新的上传 URL 再重试
+ *
+ * 退避采用指数增长并加入随机抖动，避免多个上传同时重试。
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 64 * 1000;
+
+const RETRYABLE_STATUS = [408, 429, 500, 503];
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ESOCKETTIMEDOUT'
+];
+
+/**
+ * 是否为连接层错误（连接被重置、超时等）
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isNetworkError(err) {
+  return !!err && !err.status && NETWORK_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * 是否值得重试
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  return !!err && (RETRYABLE_STATUS.includes(err.status) || isNetworkError(err));
+}
+
+/**
+ * 是否需要换新的上传 URL（429 只需等待，其余可重试错误都应换 URL）
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function needsNewUploadUrl(err) {
+  return isRetryable(err) && err.status !== 429;
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|number} value
+ * @returns {number|undefined} 毫秒
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间
+ * 服务端给出 Retry-After 时优先使用，否则指数退避 + 抖动
+ * @param {Error} err
+ * @param {number} attempt - 已失败次数（从 1 开始）
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @returns {number} 毫秒
+ */
+function getRetryDelay(err, attempt, options = {}) {
+  const baseDelay = options.baseDelay !== undefined ? options.baseDelay : DEFAULT_BASE_DELAY;
+  const maxDelay = options.maxDelay !== undefined ? options.maxDelay : DEFAULT_MAX_DELAY;
+
+  if (err && err.retryAfter !== undefined) {
+    return Math.min(err.retryAfter, maxDelay);
+  }
+
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 带退避的重试
+ * @param {Function} fn - (attempt) => Promise，attempt 从 1 开始
+ * @param {Object} options
+ * @param {number} options.maxAttempts - 最多尝试次数（含第一次）
+ * @param {number} options.baseDelay
+ * @param {number} options.maxDelay
+ * @param {Function} options.shouldRetry - (err) => boolean，默认 isRetryable
+ * @param {Function} options.onRetry - (err, attempt, delay) => void|Promise
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, options = {}) {
+  const maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  const shouldRetry = options.shouldRetry || isRetryable;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= maxAttempts || !shouldRetry(err)) {
+        throw err;
+      }
+      const delay = getRetryDelay(err, attempt, options);
+      if (options.onRetry) {
+        await options.onRetry(err, attempt, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  withRetry,
+  isRetryable,
+  isNetworkError,
+  needsNewUploadUrl,
+  parseRetryAfter,
+  getRetryDelay
+};
@@ -0,0 +1,274 @@
+/**
+ * 去除图片元数据（隐私保护）
+ *
+ * - JPEG: 删除 APP1（Exif、XMP）和 APP13（Photoshop / IPTC）段
+ * - PNG:  删除 tEXt、zTXt、iTXt 文本块和 eXIf 块
+ * - WebP: 删除 EXIF、XMP 块，并同步清除 VP8X 头中的对应标志位
+ *
+ * 只删除元数据，不重新编码图像数据。可选保留方向（Orientation），
+ * 此时原 Exif 被替换为只含 Orientation 一项的最小 Exif。
+ * 无法识别或结构损坏的文件原样返回。
+ */
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf'];
+const ORIENTATION_TAG = 0x0112;
+
+// VP8X 标志位
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+let crcTable;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * 从 TIFF 结构（Exif 数据去掉 `Exif\0\0` 之后的部分）中读取 IFD0 的 Orientation
+ * @param {Buffer} tiff
+ * @returns {number|null} 1-8，没有或无法解析时返回 null
+ */
+function readOrientation(tiff) {
+  if (tiff.length < 8) {
+    return null;
+  }
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') {
+    return null;
+  }
+  const little = order === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) {
+    return null;
+  }
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      return null;
+    }
+    if (u16(entry) === ORIENTATION_TAG) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成只含 Orientation 的最小 TIFF 结构（大端序）
+ * @param {number} orientation
+ * @returns {Buffer}
+ */
+function buildOrientationTiff(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // 没有下一个 IFD
+  return tiff;
+}
+
+/**
+ * 需要保留的 Orientation（为 1 即默认方向时无需保留）
+ */
+function keptOrientation(tiff, keepOrientation) {
+  if (!keepOrientation) {
+    return null;
+  }
+  const orientation = readOrientation(tiff);
+  return orientation && orientation !== 1 ? orientation : null;
+}
+
+function stripJpeg(buffer, keepOrientation) {
+  const segments = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // 填充字节
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOS 之后是压缩数据，原样保留（EOI 同理）
+    if (marker === 0xda || marker === 0xd9) {
+      segments.push(buffer.subarray(offset));
+      return Buffer.concat(segments);
+    }
+    // 没有长度字段的独立标记
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      segments.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      return null;
+    }
+    const segment = buffer.subarray(offset, end);
+    const data = segment.subarray(4);
+
+    if (marker === 0xe1 && data.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+      const orientation = keptOrientation(data.subarray(EXIF_HEADER.length), keepOrientation);
+      if (orientation) {
+        const payload = Buffer.concat([EXIF_HEADER, buildOrientationTiff(orientation)]);
+        const header = Buffer.from([0xff, 0xe1, 0, 0]);
+        header.writeUInt16BE(payload.length + 2, 2);
+        segments.push(header, payload);
+      }
+    } else if (marker !== 0xe1 && marker !== 0xed) {
+      segments.push(segment);
+    }
+    offset = end;
+  }
+  return null;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+function stripPng(buffer, keepOrientation) {
+  const chunks = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      return null;
+    }
+
+    if (type === 'eXIf') {
+      const orientation = keptOrientation(buffer.subarray(offset + 8, offset + 8 + length), keepOrientation);
+      if (orientation) {
+        chunks.push(pngChunk('eXIf', buildOrientationTiff(orientation)));
+      }
+    } else if (!PNG_METADATA_CHUNKS.includes(type)) {
+      chunks.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (type === 'IEND') {
+      // IEND 之后的数据原样保留
+      chunks.push(buffer.subarray(offset));
+      return Buffer.concat(chunks);
+    }
+  }
+  return null;
+}
+
+function webpChunk(fourcc, data) {
+  const chunk = Buffer.alloc(8 + data.length + (data.length % 2));
+  chunk.write(fourcc, 0, 'latin1');
+  chunk.writeUInt32LE(data.length, 4);
+  data.copy(chunk, 8);
+  return chunk;
+}
+
+function stripWebp(buffer, keepOrientation) {
+  const chunks = [];
+  let vp8x = null;
+  let keptExif = false;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) {
+      return null;
+    }
+    const data = buffer.subarray(offset + 8, offset + 8 + size);
+
+    if (fourcc === 'EXIF') {
+      const tiff = data.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER) ? data.subarray(EXIF_HEADER.length) : data;
+      const orientation = keptOrientation(tiff, keepOrientation);
+      if (orientation) {
+        chunks.push(webpChunk('EXIF', buildOrientationTiff(orientation)));
+        keptExif = true;
+      }
+    } else if (fourcc !== 'XMP ') {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      if (fourcc === 'VP8X') {
+        vp8x = chunk;
+      }
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  if (vp8x) {
+    vp8x[8] &= ~(VP8X_XMP_FLAG | (keptExif ? 0 : VP8X_EXIF_FLAG));
+  }
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Remove privacy-sensitive metadata from JPEG, PNG and WebP images
+ * @param {Buffer} buffer
+ * @param {Object} options - { keepOrientation }
+ * @returns {Object} { buffer, removed } - removed is the number of bytes dropped (0 if unchanged)
+ */
+function stripMetadata(buffer, options = {}) {
+  const keepOrientation = Boolean(options.keepOrientation);
+  let stripped = null;
+
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    stripped = stripJpeg(buffer, keepOrientation);
+  } else if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    stripped = stripPng(buffer, keepOrientation);
+  } else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    stripped = stripWebp(buffer, keepOrientation);
+  }
+
+  if (!stripped || stripped.length >= buffer.length) {
+    return { buffer, removed: 0 };
+  }
+  return { buffer: stripped, removed: buffer.length - stripped.length };
+}
+
+module.exports = {
+  stripMetadata,
+  readOrientation
+};
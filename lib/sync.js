@@ -0,0 +1,210 @@
+/**
+ * 本地目录单向同步到 B2
+ *
+ * 本地文件的相对路径（以 / 分隔）加上远程前缀就是对象键，与上传时 Path Prefix 的规则一致。
+ * 列出远程前缀下的文件后逐个比较:
+ * - 远程不存在: 新增
+ * - 大小不同，或 SHA1 不同（contentSha1，大文件取 large_file_sha1）: 更新
+ * - 其他: 跳过；只有大小相同时才读取本地文件计算 SHA1
+ * 可选删除本地已不存在的远程文件，删除所有版本（删除策略为 hide 时隐藏），否则旧版本会重新出现，
+ * 下次同步又被当作远程文件。include/exclude glob 按相对路径匹配，
+ * 同时限定上传的本地文件和可删除的远程文件。
+ *
+ * 文件按原样上传，不去除元数据，否则每次同步的 SHA1 都不一致；不跟随符号链接。
+ * 对象键不符合 B2 规则的本地文件（如含反斜杠或控制字符）不上传，记为该文件的失败，不影响其他文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sha1 } = require('./b2-client');
+const { getContentSha1 } = require('./dedupe');
+const { createMatcher } = require('./glob');
+const { validateFileName } = require('./key-template');
+const { resolveContentType } = require('./content-type');
+const { renderFileInfo } = require('./file-info');
+const { applyNamePrefix } = require('./connection');
+const { mapWithConcurrency } = require('./concurrency');
+const { DEFAULT_UPLOAD_CONCURRENCY } = require('./config');
+const { findFiles, deleteFiles } = require('./bulk-delete');
+
+/**
+ * Normalize the remote folder a directory is synced to
+ * @param {string} prefix - e.g. `blog/images`; empty for the top of the bucket
+ * @param {Object} allowed - `allowed` from the authorization
+ * @param {boolean} autoPrefix - prepend the key's namePrefix when it is missing
+ * @returns {string} '' or a prefix ending with '/'
+ * @throws {Error} when the prefix is outside the key's namePrefix
+ */
+function resolveRemotePrefix(prefix, allowed, autoPrefix) {
+  let remotePrefix = String(prefix || '').replace(/^\/+/, '');
+  if (remotePrefix && !remotePrefix.endsWith('/')) {
+    remotePrefix += '/';
+  }
+
+  const namePrefix = allowed && allowed.namePrefix;
+  if (!namePrefix || remotePrefix.startsWith(namePrefix)) {
+    return remotePrefix;
+  }
+  if (!remotePrefix && !autoPrefix) {
+    throw new Error(`The top of the bucket is outside the application key's namePrefix "${namePrefix}": sync to a prefix starting with "${namePrefix}", or enable Auto Name Prefix`);
+  }
+  return applyNamePrefix(remotePrefix, allowed, autoPrefix);
+}
+
+/**
+ * 递归列出目录下的文件，按相对路径排序
+ * @returns {Promise<Array<Object>>} [{ path, relativePath, size }]
+ */
+async function walk(root, dir = '', files = []) {
+  const entries = await fs.promises.readdir(path.join(root, dir), { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      await walk(root, relativePath, files);
+    } else if (entry.isFile()) {
+      const filePath = path.join(root, relativePath);
+      const { size } = await fs.promises.stat(filePath);
+      files.push({ path: filePath, relativePath, size });
+    }
+  }
+  return files;
+}
+
+/**
+ * 远程文件与本地内容是否一致
+ */
+async function isSameContent(file, remote) {
+  if (remote.contentLength !== file.size) {
+    return false;
+  }
+  const remoteSha1 = getContentSha1(remote);
+  return Boolean(remoteSha1) && remoteSha1 === sha1(await fs.promises.readFile(file.path));
+}
+
+/**
+ * Compare a local directory with a remote prefix
+ * @param {B2Client} client
+ * @param {string} bucketId
+ * @param {Object} options - { localDir, remotePrefix, include, exclude, deleteRemoved }
+ * @returns {Promise<Object>} { upload, unchanged, delete, invalid } - upload and unchanged hold
+ *   { path, relativePath, size, fileName } with reason 'new' or 'changed' on uploads;
+ *   delete holds B2 file objects, and is empty unless deleteRemoved is set;
+ *   invalid holds { fileName, error } for files whose name B2 does not allow
+ */
+async function planSync(client, bucketId, options) {
+  const stats = await fs.promises.stat(options.localDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Not a directory: ${options.localDir}`);
+  }
+
+  const prefix = options.remotePrefix || '';
+  const matches = createMatcher(options.include, options.exclude);
+  const localFiles = (await walk(options.localDir)).filter(file => matches(file.relativePath));
+  const remoteFiles = await findFiles(client, bucketId, { prefix });
+  const remoteByName = new Map(remoteFiles.map(file => [file.fileName, file]));
+
+  const plan = { upload: [], unchanged: [], delete: [], invalid: [] };
+  for (const file of localFiles) {
+    const fileName = prefix + file.relativePath;
+    try {
+      validateFileName(fileName);
+    } catch (err) {
+      plan.invalid.push({ fileName, error: err.message });
+      continue;
+    }
+    const remote = remoteByName.get(fileName);
+    remoteByName.delete(fileName);
+    if (!remote) {
+      plan.upload.push({ ...file, fileName, reason: 'new' });
+    } else if (await isSameContent(file, remote)) {
+      plan.unchanged.push({ ...file, fileName });
+    } else {
+      plan.upload.push({ ...file, fileName, reason: 'changed' });
+    }
+  }
+
+  // 剩下的远程文件在本地已不存在；不在 include/exclude 范围内的不删除
+  if (options.deleteRemoved) {
+    plan.delete = [...remoteByName.values()].filter(file => matches(file.fileName.substring(prefix.length)));
+  }
+  return plan;
+}
+
+/**
+ * Counts and sizes of a sync plan
+ * @param {Object} plan - from planSync
+ * @returns {Object} { new, changed, unchanged, delete, invalid, uploadBytes }
+ */
+function summarizePlan(plan) {
+  return {
+    new: plan.upload.filter(file => file.reason === 'new').length,
+    changed: plan.upload.filter(file => file.reason === 'changed').length,
+    unchanged: plan.unchanged.length,
+    delete: plan.delete.length,
+    invalid: plan.invalid.length,
+    uploadBytes: plan.upload.reduce((total, file) => total + file.size, 0)
+  };
+}
+
+/**
+ * Upload new and changed files, then delete the removed ones
+ * Failures are collected instead of stopping the sync; files with invalid names count as failed.
+ * @param {B2Client} client
+ * @param {string} bucketId
+ * @param {Object} plan - from planSync
+ * @param {Object} options - { concurrency, policy, uploadOptions, customContentTypes, fileInfoTemplates,
+ *   encryption, onProgress(done, total, fileName) }; policy is 'all' (default) or 'hide', see getBulkDeletePolicy
+ * @returns {Promise<Object>} { uploaded: [fileName], deleted: [{ fileName, versions }], failed: [{ fileName, error }] }
+ */
+async function runSync(client, bucketId, plan, options = {}) {
+  const uploaded = [];
+  const failed = [...plan.invalid];
+  const total = plan.upload.length + plan.delete.length;
+  const date = new Date();
+  let done = 0;
+  const progress = (fileName) => {
+    done++;
+    if (options.onProgress) {
+      options.onProgress(done, total, fileName);
+    }
+  };
+
+  await mapWithConcurrency(plan.upload, options.concurrency || DEFAULT_UPLOAD_CONCURRENCY, async (file) => {
+    try {
+      const buffer = await fs.promises.readFile(file.path);
+      const { contentType } = resolveContentType(buffer, path.extname(file.path), options.customContentTypes);
+      const fileInfo = renderFileInfo(options.fileInfoTemplates || {}, {
+        originalName: path.basename(file.path),
+        fileName: file.fileName,
+        buffer,
+        contentType,
+        date
+      });
+      await client.upload(bucketId, buffer, file.fileName, contentType, {
+        ...options.uploadOptions,
+        fileInfo,
+        encryption: options.encryption
+      });
+      uploaded.push(file.fileName);
+    } catch (err) {
+      failed.push({ fileName: file.fileName, error: err.message });
+    }
+    progress(file.fileName);
+  });
+
+  const { deleted, failed: deleteFailed } = await deleteFiles(client, bucketId, plan.delete, {
+    policy: options.policy || 'all',
+    concurrency: options.concurrency,
+    onProgress: (count, deleteTotal, file) => progress(file.fileName)
+  });
+
+  return { uploaded, deleted, failed: failed.concat(deleteFailed) };
+}
+
+module.exports = {
+  resolveRemotePrefix,
+  planSync,
+  summarizePlan,
+  runSync
+};
@@ -0,0 +1,158 @@
+/**
+ * HTTP 传输层
+ *
+ * B2Client 通过 transport 发送请求，transport 统一返回
+ * `{ status, headers, body }`（body 为 JSON 时已解析），只有连接层错误才会 reject。
+ *
+ * - picgoTransport: 使用 PicGo 的 ctx.request（遵循 PicGo 的代理等设置），上传器、CLI 命令和 GUI 功能使用
+ * - httpTransport: 直接使用 Node 的 http/https 模块，不依赖 PicGo 上下文；
+ *   仅在没有 ctx 时使用（如 test.js 直接调用 gui.js 导出的 deleteB2File）
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+function parseBody(body) {
+  if (typeof body === 'string') {
+    try { return JSON.parse(body); } catch (e) {}
+  }
+  return body;
+}
+
+/**
+ * Parse response from PicGo's request utility
+ * PicGo may return:
+ * - Direct JSON object on success
+ * - Error object with status/statusCode on failure
+ * - Axios-style wrapper with body/data
+ * @param {*} result
+ * @returns {Object} { status, headers, body }
+ */
+function parseResponse(result) {
+  if (typeof result === 'object' && result !== null && !Buffer.isBuffer(result)) {
+    // Check if this is an error response with statusCode
+    const statusCode = result.statusCode || result.status;
+
+    if (statusCode && (statusCode < 200 || statusCode >= 300)) {
+      return { status: statusCode, headers: result.headers || {}, body: parseBody(result.body || result.data || result) };
+    }
+
+    // Check if result has body/data (axios-style wrapper)
+    if (result.body !== undefined || result.data !== undefined) {
+      return { status: 200, headers: result.headers || {}, body: parseBody(result.body || result.data) };
+    }
+
+    // Otherwise, result is the body itself (direct response)
+    return { status: 200, headers: {}, body: result };
+  }
+
+  // Non-object body (e.g. an HTML error page behind a proxy); PicGo only resolves 2xx
+  return { status: 200, headers: {}, body: parseBody(result) };
+}
+
+/**
+ * 从 PicGo request 的 rejection 中取出 HTTP 响应
+ * PicGo 对非 2xx 响应会 reject，B2 的错误体在 request 风格的 `error`
+ * 或 axios 风格的 `response` 上；连接层错误没有响应，返回 null
+ * @param {Error} err
+ * @returns {Object|null} { status, headers, body }
+ */
+function responseFromError(err) {
+  const response = err.response || {};
+  const status = err.statusCode || response.status || response.statusCode;
+  if (!status) {
+    return null;
+  }
+  return {
+    status,
+    headers: response.headers || {},
+    body: parseBody(err.error || response.data || response.body)
+  };
+}
+
+/**
+ * 基于 PicGo ctx.request 的 transport
+ * @param {Function} request - PicGo's request utility
+ * @returns {Function} (options) => Promise<{ status, headers, body }>
+ */
+function picgoTransport(request) {
+  return async (options) => {
+    let result;
+    try {
+      result = await request({
+        method: options.method || 'GET',
+        url: options.url,
+        headers: options.headers || {},
+        body: options.body,
+        timeout: options.timeout,
+        json: true
+      });
+    } catch (err) {
+      const response = responseFromError(err);
+      if (response) {
+        return response;
+      }
+      throw err;
+    }
+    return parseResponse(result);
+  };
+}
+
+/**
+ * 基于 Node http/https 的 transport，协议和端口以 URL 为准
+ * @param {Object} options - { method, url, headers, body, timeout }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function httpTransport(options) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(options.url);
+    const client = url.protocol === 'http:' ? http : https;
+    const headers = { ...(options.headers || {}) };
+
+    let payload = options.body;
+    if (payload !== undefined && !Buffer.isBuffer(payload) && typeof payload !== 'string') {
+      payload = JSON.stringify(payload);
+    }
+    if (payload !== undefined && headers['Content-Length'] === undefined) {
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = client.request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: options.method || 'GET',
+      headers
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: parseBody(Buffer.concat(chunks).toString())
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(options.timeout || 30000, () => {
+      const err = new Error('Request timeout');
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = {
+  picgoTransport,
+  httpTransport,
+  parseResponse
+};
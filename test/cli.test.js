@@ -0,0 +1,504 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const plugin = require('../index.js');
+const { useMockB2Server } = require('./helpers/mock-b2-server');
+const { createContext, configFor } = require('./helpers/picgo-ctx');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function setup(config) {
+  const ctx = createContext(config);
+  plugin(ctx).register(ctx);
+  return ctx;
+}
+
+describe('cli', () => {
+  const server = useMockB2Server();
+
+  afterEach(() => {
+    process.exitCode = undefined;
+  });
+
+  describe('profiles', () => {
+    it('saves and switches profiles', async () => {
+      const ctx = setup({ applicationKeyId: 'blog-key', bucketName: 'blog', pathPrefix: 'posts' });
+
+      await ctx.cmd.program.run(['b2', 'save', 'blog']);
+      ctx.saveConfig({ 'picBed.b2.bucketName': 'docs', 'picBed.b2.pathPrefix': '' });
+      await ctx.cmd.program.run(['b2', 'save', 'docs']);
+      await ctx.cmd.program.run(['b2', 'use', 'blog']);
+
+      const config = ctx.getConfig('picBed.b2');
+      assert.strictEqual(config.activeProfile, 'blog');
+      assert.strictEqual(config.bucketName, 'blog');
+      assert.strictEqual(config.pathPrefix, 'posts');
+      assert.deepStrictEqual(Object.keys(config.profiles), ['blog', 'docs']);
+      assert.strictEqual(config.profiles.docs.bucketName, 'docs');
+      assert.strictEqual(config.profiles.blog.profiles, undefined);
+      assert.ok(ctx.logs.info.includes('[B2] Switched to profile "blog" (bucket blog)'));
+    });
+
+    it('keeps edits to the active profile when switching away', async () => {
+      const ctx = setup({ bucketName: 'blog' });
+      await ctx.cmd.program.run(['b2', 'save', 'blog']);
+      await ctx.cmd.program.run(['b2', 'save', 'docs']);
+      ctx.saveConfig({ 'picBed.b2.bucketName': 'docs-renamed' });
+
+      await ctx.cmd.program.run(['b2', 'use', 'blog']);
+
+      assert.strictEqual(ctx.getConfig('picBed.b2.profiles.docs.bucketName'), 'docs-renamed');
+    });
+
+    it('lists profiles and marks the active one', async () => {
+      const ctx = setup({ bucketName: 'blog' });
+      await ctx.cmd.program.run(['b2', 'save', 'blog']);
+      await ctx.cmd.program.run(['b2', 'save', 'docs']);
+      ctx.logs.info.length = 0;
+
+      await ctx.cmd.program.run(['b2', 'use']);
+
+      assert.deepStrictEqual(ctx.logs.info, ['  blog', '* docs']);
+    });
+
+    it('reports unknown profiles with a failing exit code', async () => {
+      const ctx = setup({ bucketName: 'blog' });
+      await ctx.cmd.program.run(['b2', 'save', 'blog']);
+
+      await ctx.cmd.program.run(['b2', 'use', 'work']);
+
+      assert.match(ctx.logs.error[0], /Unknown B2 profile "work" \(available: blog\)/);
+      assert.strictEqual(process.exitCode, 1);
+      assert.strictEqual(ctx.getConfig('picBed.b2.activeProfile'), 'blog');
+    });
+
+    it('rejects invalid profile names', async () => {
+      const ctx = setup({ bucketName: 'blog' });
+
+      await ctx.cmd.program.run(['b2', 'save', 'my blog']);
+
+      assert.match(ctx.logs.error[0], /Invalid profile name "my blog"/);
+      assert.strictEqual(ctx.getConfig('picBed.b2.profiles'), undefined);
+    });
+  });
+
+  describe('purge', () => {
+    beforeEach(() => {
+      server.addFile('tmp/old.png', 'o'.repeat(2048), { uploadTimestamp: Date.now() - 40 * DAY });
+      server.addFile('tmp/new.png', 'n');
+      server.addFile('tmp/notes.txt', 't'.repeat(4096));
+      server.addFile('keep/a.png', 'a');
+    });
+
+    it('lists matching files without deleting them by default', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--prefix', 'tmp/']);
+
+      assert.ok(ctx.logs.info.includes('  tmp/old.png (2.00 KB)'));
+      assert.ok(ctx.logs.info.includes('[B2] 3 file(s) in test-bucket match, 6.00 KB in total (latest versions)'));
+      assert.ok(ctx.logs.info.includes('[B2] Every version of these files will be deleted, so no older version becomes visible'));
+      assert.ok(ctx.logs.info.some(line => line.includes('Dry run: nothing was deleted')));
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+      assert.strictEqual(process.exitCode, undefined);
+    });
+
+    it('deletes files older than an age with --yes', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--prefix', 'tmp/', '--before', '30d', '--yes']);
+
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['keep/a.png', 'tmp/new.png', 'tmp/notes.txt']);
+      assert.ok(ctx.logs.info.includes('[B2] Deleted 1 of 1 file(s) (all)'));
+    });
+
+    it('deletes older versions too, so that none reappears', async () => {
+      server.addFile('tmp/new.png', 'older', { uploadTimestamp: Date.now() - DAY });
+      const ctx = setup(configFor(server, { deletePolicy: 'latest' }));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--glob', 'tmp/new.png', '--yes']);
+
+      assert.ok(!server.files.some(f => f.fileName === 'tmp/new.png'));
+      assert.ok(ctx.logs.info.includes('[B2] Deleted 1 of 1 file(s) (all)'));
+    });
+
+    it('hides the files with the hide policy', async () => {
+      const ctx = setup(configFor(server, { deletePolicy: 'hide' }));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--glob', 'tmp/new.png', '--yes']);
+
+      assert.ok(ctx.logs.info.includes('[B2] Files will be hidden; their versions are kept'));
+      assert.strictEqual(server.callsTo('b2_hide_file').length, 1);
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+    });
+
+    it('combines glob and size conditions', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--glob', '**/*.png', '--max-size', '1KB', '--yes']);
+
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['tmp/notes.txt', 'tmp/old.png']);
+    });
+
+    it('reports the files that could not be deleted', async () => {
+      server.inject('b2_delete_file_version', { status: 400 });
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--prefix', 'tmp/', '--concurrency', '2', '--yes']);
+
+      assert.strictEqual(server.latestFiles().length, 2);
+      assert.ok(ctx.logs.info.includes('[B2] Deleted 2 of 3 file(s) (all)'));
+      assert.match(ctx.logs.error[0], /^\[B2\] tmp\/\S+: Failed to delete file: Injected error$/);
+      assert.strictEqual(ctx.logs.error[1], '[B2] 1 file(s) could not be deleted');
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('refuses to run without a condition', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--yes']);
+
+      assert.match(ctx.logs.error[0], /at least one of prefix, glob, before, after, min-size or max-size/);
+      assert.strictEqual(server.calls.length, 0);
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('rejects invalid times and sizes', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--before', 'last week']);
+      await ctx.cmd.program.run(['b2', 'purge', '--min-size', '1TB']);
+      await ctx.cmd.program.run(['b2', 'purge', '--before', '20240131']);
+
+      assert.match(ctx.logs.error[0], /Invalid before time: last week/);
+      assert.match(ctx.logs.error[1], /Invalid min size: 1TB/);
+      assert.match(ctx.logs.error[2], /Invalid before time: 20240131/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('reads a four-digit time as a year', async () => {
+      server.addFile('tmp/ancient.png', 'x', { uploadTimestamp: Date.parse('2023-06-01T00:00:00Z') });
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'purge', '--before', '2024']);
+
+      assert.ok(ctx.logs.info.includes('  tmp/ancient.png (1 B)'));
+      assert.ok(ctx.logs.info.some(line => line.startsWith('[B2] 1 file(s) in test-bucket match')));
+    });
+  });
+
+  describe('file commands', () => {
+    beforeEach(() => {
+      server.addFile('a.png', 'a', { contentType: 'image/png', fileInfo: { source: 'picgo' } });
+      server.addFile('docs/x.png', 'x');
+    });
+
+    // 命令结果输出到 stdout（console.log）
+    function captureOutput(t) {
+      const lines = [];
+      t.mock.method(console, 'log', (line) => lines.push(line));
+      return lines;
+    }
+
+    it('lists one folder level by default', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'ls']);
+
+      assert.strictEqual(output.length, 2);
+      assert.match(output[0], /^ {7}1 B {2}\d{4}-\d\d-\d\dT[\d:.]+Z {2}a\.png$/);
+      assert.match(output[1], /^ {9}- {2}- {25}docs\/$/);
+      assert.strictEqual(server.callsTo('b2_list_file_names')[0].body.delimiter, '/');
+    });
+
+    it('lists every file under a prefix as JSON', async (t) => {
+      server.addFile('docs/deep/y.png', 'y');
+      server.pageLimit = 1;
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'ls', 'docs/', '-r', '--json']);
+
+      assert.deepStrictEqual(JSON.parse(output[0]).map(f => f.fileName), ['docs/deep/y.png', 'docs/x.png']);
+      const calls = server.callsTo('b2_list_file_names');
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(calls[0].body.delimiter, undefined);
+      assert.strictEqual(calls[1].body.startFileName, 'docs/x.png');
+    });
+
+    it('deletes every key and exits with 3 when one is missing', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'rm', 'a.png', 'missing.png', 'docs/x.png']);
+
+      assert.strictEqual(server.latestFiles().length, 0);
+      assert.ok(ctx.logs.info.includes('[B2] Deleted a.png (1 version(s))'));
+      assert.deepStrictEqual(ctx.logs.error, ['[B2] File not found: missing.png', '[B2] 1 of 3 file(s) not found']);
+      assert.strictEqual(process.exitCode, 3);
+    });
+
+    it('prints rm results as JSON', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server, { deletePolicy: 'hide' }));
+
+      await ctx.cmd.program.run(['b2', 'rm', 'a.png', '--json']);
+
+      assert.deepStrictEqual(JSON.parse(output[0]), [{ fileName: 'a.png', policy: 'hide', versions: 1 }]);
+      assert.strictEqual(process.exitCode, undefined);
+    });
+
+    it('shows file details', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'info', 'a.png']);
+      await ctx.cmd.program.run(['b2', 'info', 'a.png', '--json']);
+
+      assert.match(output[0], /^File name: {4}a\.png\nFile ID: {6}file-\d+\nBucket: {7}test-bucket \(test-bucket-id\)\nSize: {9}1 B \(1 bytes\)\nContent type: image\/png\n/);
+      assert.match(output[0], /\nInfo: {9}source=picgo$/);
+      assert.strictEqual(JSON.parse(output[1]).contentType, 'image/png');
+    });
+
+    it('exits with 3 for info on a missing file', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'info', 'missing.png']);
+
+      assert.deepStrictEqual(ctx.logs.error, ['[B2] File not found: missing.png']);
+      assert.strictEqual(process.exitCode, 3);
+    });
+
+    it('prints errors as JSON with --json', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'info', 'missing.png', '--json']);
+
+      assert.deepStrictEqual(output.map(line => JSON.parse(line)), [{ error: 'File not found: missing.png', code: 3 }]);
+      assert.deepStrictEqual(ctx.logs.error, ['[B2] File not found: missing.png']);
+      assert.strictEqual(process.exitCode, 3);
+    });
+
+    it('prints only the per-file results when rm --json fails', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'rm', 'a.png', 'missing.png', '--json']);
+
+      assert.strictEqual(output.length, 1);
+      assert.deepStrictEqual(JSON.parse(output[0])[1], { fileName: 'missing.png', error: 'File not found: missing.png' });
+      assert.strictEqual(process.exitCode, 3);
+    });
+
+    it('prints the file URL', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server, { customDomain: 'https://cdn.example.com' }));
+
+      await ctx.cmd.program.run(['b2', 'url', 'docs/x.png']);
+      await ctx.cmd.program.run(['b2', 'url', 'docs/x.png', '--json']);
+
+      assert.strictEqual(output[0], 'https://cdn.example.com/docs/x.png');
+      assert.deepStrictEqual(JSON.parse(output[1]), { fileName: 'docs/x.png', url: 'https://cdn.example.com/docs/x.png' });
+    });
+
+    it('refuses the URL of an SSE-C file without a custom domain', async (t) => {
+      const output = captureOutput(t);
+      server.addFile('secret.png', 's', { serverSideEncryption: { mode: 'SSE-C', customerAlgorithm: 'AES256' } });
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'url', 'secret.png']);
+
+      assert.deepStrictEqual(output, []);
+      assert.match(ctx.logs.error[0], /^\[B2\] SSE-C encrypted files cannot be downloaded without the customer key/);
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('shows the authorization and capabilities', async (t) => {
+      const output = captureOutput(t);
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'whoami']);
+      await ctx.cmd.program.run(['b2', 'whoami', '--json']);
+
+      assert.match(output[0], /^Account ID: {3}test-account\nKey ID: {7}test-key-id\n/);
+      assert.match(output[0], /\nBuckets: {6}test-bucket \(test-bucket-id\)\nCapabilities: listFiles, readFiles, writeFiles, deleteFiles\nName prefix: {2}-$/);
+      assert.deepStrictEqual(JSON.parse(output[1]).buckets, [{ bucketId: 'test-bucket-id', bucketName: 'test-bucket' }]);
+    });
+
+    it('exits with 2 when authorization fails', async () => {
+      const ctx = setup(configFor(server, { applicationKey: 'wrong' }));
+
+      await ctx.cmd.program.run(['b2', 'whoami']);
+
+      assert.match(ctx.logs.error[0], /^\[B2\] Authorization failed: Invalid application key/);
+      assert.strictEqual(process.exitCode, 2);
+    });
+  });
+
+  describe('sync', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-sync-'));
+      fs.mkdirSync(path.join(dir, '2024'));
+      fs.writeFileSync(path.join(dir, 'a.png'), 'same');
+      fs.writeFileSync(path.join(dir, '2024', 'b.png'), 'new');
+      fs.writeFileSync(path.join(dir, '2024', 'c.txt'), 'local');
+      server.addFile('images/a.png', 'same');
+      server.addFile('images/2024/c.txt', 'other');
+      server.addFile('images/old.png', 'old');
+      server.addFile('docs/keep.png', 'keep');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function uploadedNames() {
+      return server.callsTo('upload').map(call => decodeURIComponent(call.headers['x-bz-file-name'])).sort();
+    }
+
+    it('previews new, changed and removed files with --dry-run', async () => {
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete', '--dry-run']);
+
+      assert.deepStrictEqual(ctx.logs.info.filter(line => line.startsWith('  ')), [
+        '  + images/2024/b.png (3 B)',
+        '  ~ images/2024/c.txt (5 B)',
+        '  - images/old.png'
+      ]);
+      assert.ok(ctx.logs.info.includes('[B2] test-bucket/images/: 1 new, 1 changed, 1 unchanged, 1 to delete (8 B to upload)'));
+      assert.strictEqual(server.callsTo('upload').length, 0);
+      assert.strictEqual(server.latestFiles().length, 4);
+    });
+
+    it('uploads only new and changed files', async () => {
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir]);
+
+      assert.deepStrictEqual(uploadedNames(), ['images/2024/b.png', 'images/2024/c.txt']);
+      assert.strictEqual(server.latestFiles().find(f => f.fileName === 'images/2024/c.txt').contentLength, 5);
+      assert.ok(server.latestFiles().some(f => f.fileName === 'images/old.png'));
+      assert.ok(ctx.logs.info.some(line => line.startsWith('[B2] [2/2] images/2024/')));
+      assert.ok(ctx.logs.info.includes('[B2] Synced test-bucket/images/: uploaded 2, deleted 0 (all), 1 unchanged, 0 failed'));
+      assert.strictEqual(process.exitCode, undefined);
+    });
+
+    it('compares by SHA1 when sizes match', async () => {
+      fs.writeFileSync(path.join(dir, 'a.png'), 'diff');
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, 'images/', '--include', '*.png']);
+
+      assert.deepStrictEqual(uploadedNames(), ['images/a.png']);
+    });
+
+    it('deletes remote files missing locally, except excluded ones', async () => {
+      server.addFile('images/drafts/x.png', 'x');
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete', '--exclude', 'drafts/**,*.txt']);
+
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), [
+        'docs/keep.png', 'images/2024/b.png', 'images/2024/c.txt', 'images/a.png', 'images/drafts/x.png'
+      ]);
+      assert.strictEqual(server.latestFiles().find(f => f.fileName === 'images/2024/c.txt').contentLength, 5);
+    });
+
+    it('deletes every version of a removed file under the latest policy', async () => {
+      server.addFile('images/old.png', 'older', { uploadTimestamp: Date.now() - DAY });
+      const ctx = setup(configFor(server, { pathPrefix: 'images', deletePolicy: 'latest' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete']);
+
+      assert.ok(!server.files.some(f => f.fileName === 'images/old.png'));
+      assert.match(ctx.logs.info.find(line => line.startsWith('[B2] Synced')), /deleted 1 \(all\)/);
+
+      ctx.logs.info.length = 0;
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete', '--dry-run']);
+
+      assert.ok(ctx.logs.info.includes('[B2] test-bucket/images/: 0 new, 0 changed, 3 unchanged, 0 to delete (0 B to upload)'));
+    });
+
+    it('hides removed files under the hide policy', async () => {
+      const ctx = setup(configFor(server, { pathPrefix: 'images', deletePolicy: 'hide' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete']);
+
+      assert.strictEqual(server.callsTo('b2_hide_file').length, 1);
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+      const versions = server.files.filter(f => f.fileName === 'images/old.png');
+      assert.deepStrictEqual(versions.map(f => f.action), ['upload', 'hide']);
+      assert.ok(!server.latestFiles().some(f => f.fileName === 'images/old.png'));
+      assert.match(ctx.logs.info.find(line => line.startsWith('[B2] Synced')), /deleted 1 \(hide\)/);
+    });
+
+    it('reports files with invalid names and syncs the rest', async () => {
+      fs.writeFileSync(path.join(dir, 'bad\\name.png'), 'bad');
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--dry-run']);
+
+      assert.deepStrictEqual(ctx.logs.warn.filter(line => line.startsWith('  !')), [
+        '  ! Invalid B2 file name "images/bad\\name.png": backslashes are not allowed'
+      ]);
+      assert.ok(ctx.logs.info.includes('[B2] test-bucket/images/: 1 new, 1 changed, 1 unchanged, 0 to delete, 1 with invalid names (8 B to upload)'));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir]);
+
+      assert.deepStrictEqual(uploadedNames(), ['images/2024/b.png', 'images/2024/c.txt']);
+      assert.ok(ctx.logs.error.includes('[B2] images/bad\\name.png: Invalid B2 file name "images/bad\\name.png": backslashes are not allowed'));
+      assert.strictEqual(ctx.logs.error[ctx.logs.error.length - 1], '[B2] 1 file(s) could not be synced');
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('prints the result as JSON', async (t) => {
+      const output = [];
+      t.mock.method(console, 'log', (line) => output.push(line));
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--delete', '--json']);
+
+      const result = JSON.parse(output[0]);
+      assert.strictEqual(result.dryRun, false);
+      assert.deepStrictEqual([result.new, result.changed, result.unchanged, result.delete], [1, 1, 1, 1]);
+      assert.deepStrictEqual(result.uploaded.sort(), ['images/2024/b.png', 'images/2024/c.txt']);
+      assert.deepStrictEqual(result.deleted, [{ fileName: 'images/old.png', versions: 1 }]);
+      assert.deepStrictEqual(result.failed, []);
+    });
+
+    it('reports failed uploads with a failing exit code', async () => {
+      server.inject('upload', { status: 400 }, 10);
+      const ctx = setup(configFor(server, { pathPrefix: 'images' }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir]);
+
+      assert.strictEqual(ctx.logs.error.length, 3);
+      assert.strictEqual(ctx.logs.error[2], '[B2] 2 file(s) could not be synced');
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('syncs into the application key\'s namePrefix', async () => {
+      server.allowed = { ...server.allowed, namePrefix: 'blog/' };
+      const ctx = setup(configFor(server, { pathPrefix: 'images', autoNamePrefix: true }));
+
+      await ctx.cmd.program.run(['b2', 'sync', dir, '--include', '*.png']);
+
+      assert.deepStrictEqual(uploadedNames(), ['blog/images/a.png']);
+      assert.strictEqual(server.callsTo('b2_list_file_names')[0].body.prefix, 'blog/images/');
+    });
+
+    it('rejects a path that is not a directory', async () => {
+      const ctx = setup(configFor(server));
+
+      await ctx.cmd.program.run(['b2', 'sync', path.join(dir, 'a.png')]);
+
+      assert.match(ctx.logs.error[0], /^\[B2\] Not a directory: /);
+      assert.strictEqual(process.exitCode, 1);
+    });
+  });
+});
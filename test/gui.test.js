@@ -0,0 +1,651 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+
+const gui = require('../gui.js');
+const { MockB2Server, useMockB2Server } = require('./helpers/mock-b2-server');
+const { createContext, configFor } = require('./helpers/picgo-ctx');
+
+describe('gui', () => {
+  const server = useMockB2Server({ extraBuckets: [{ bucketId: 'other-bucket-id', bucketName: 'other-bucket' }] });
+  let log;
+
+  beforeEach(() => {
+    log = createContext().log;
+  });
+
+  // 按按钮文字回答消息框，按顺序回答输入框
+  function scriptedGuiApi(answers, inputs = []) {
+    const guiApi = {
+      boxes: [],
+      notifications: [],
+      async showMessageBox(box) {
+        guiApi.boxes.push(box);
+        const answer = answers.shift();
+        assert.ok(box.buttons.includes(answer), `${answer} not in ${box.buttons}`);
+        return { result: box.buttons.indexOf(answer) };
+      },
+      async showInputBox() {
+        return inputs.shift();
+      },
+      async showNotification(notification) {
+        guiApi.notifications.push(notification);
+      }
+    };
+    return guiApi;
+  }
+
+  describe('deleteB2File', () => {
+    it('deletes an existing file', async () => {
+      server.addFile('images/a.png', 'a');
+      server.addFile('images/b.png', 'b');
+
+      const result = await gui.deleteB2File('images/a.png', configFor(server), log);
+
+      assert.deepStrictEqual(result, { success: true, message: '删除成功', policy: 'latest', versions: 1 });
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['images/b.png']);
+    });
+
+    it('succeeds when the file does not exist', async () => {
+      server.addFile('images/a.png.bak', 'a');
+
+      const result = await gui.deleteB2File('images/a.png', configFor(server), log);
+
+      assert.strictEqual(result.message, '文件不存在或已删除');
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+    });
+
+    it('deletes every version with the all policy', async () => {
+      server.pageLimit = 2;
+      server.addFile('a.png', 'v1', { uploadTimestamp: 1 });
+      server.addFile('a.png', 'v2', { uploadTimestamp: 2 });
+      server.addFile('a.png', '', { uploadTimestamp: 3, action: 'hide' });
+      server.addFile('a.png', 'v3', { uploadTimestamp: 4 });
+      server.addFile('a.png.bak', 'b');
+
+      const result = await gui.deleteB2File('a.png', configFor(server, { deletePolicy: 'all' }), log);
+
+      assert.strictEqual(result.versions, 4);
+      assert.strictEqual(result.message, '已删除 4 个版本');
+      assert.deepStrictEqual(server.files.map(f => f.fileName), ['a.png.bak']);
+      assert.strictEqual(server.callsTo('b2_list_file_versions').length, 2);
+    });
+
+    it('hides the file with the hide policy', async () => {
+      server.addFile('a.png', 'a', { uploadTimestamp: 1 });
+
+      const result = await gui.deleteB2File('a.png', configFor(server, { deletePolicy: 'hide' }), log);
+
+      assert.deepStrictEqual(result, { success: true, message: '已隐藏', policy: 'hide', versions: 1 });
+      assert.deepStrictEqual(server.latestFiles(), []);
+      assert.deepStrictEqual(server.files.map(f => f.action), ['upload', 'hide']);
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+    });
+
+    it('rejects an unknown delete policy', async () => {
+      await assert.rejects(gui.deleteB2File('a.png', configFor(server, { deletePolicy: 'purge' }), log), /Unknown delete policy: purge/);
+    });
+
+    it('rejects an empty file name', async () => {
+      await assert.rejects(gui.deleteB2File('', configFor(server), log), /文件名为空/);
+    });
+
+    it('reports B2 error responses', async () => {
+      server.addFile('a.png', 'a');
+      server.inject('b2_delete_file_version', { status: 400, body: { status: 400, code: 'bad_request', message: 'Bad fileId' } });
+
+      await assert.rejects(gui.deleteB2File('a.png', configFor(server), log), /Failed to delete file: Bad fileId/);
+    });
+
+    it('rejects a malformed list response', async () => {
+      server.addFile('a.png', 'a');
+      server.inject('b2_list_file_names', { raw: 'not json' });
+
+      await assert.rejects(gui.deleteB2File('a.png', configFor(server), log), /response is empty or invalid/);
+    });
+  });
+
+  describe('guiMenu', () => {
+    it('copies a freshly signed link for a private file', async () => {
+      server.addFile('private/a.png', 'a');
+      const ctx = createContext(configFor(server, { privateBucket: true, downloadAuthDuration: '7200' }));
+      const item = gui.guiMenu(ctx).find(i => i.label.includes('签名链接'));
+      const guiApi = { showInputBox: async () => ' private/a.png ', showNotification: async () => {} };
+
+      await item.handle(ctx, guiApi);
+
+      const [notification] = ctx.notifications;
+      assert.strictEqual(notification.body, '链接 2 小时内有效');
+      assert.match(notification.text, /\/file\/test-bucket\/private\/a\.png\?Authorization=download-token-\d+$/);
+      assert.strictEqual(server.callsTo('b2_get_download_authorization')[0].body.fileNamePrefix, 'private/a.png');
+    });
+
+    it('sends menu and gallery requests through PicGo\'s request', async () => {
+      server.addFile('a.png', 'a');
+      const ctx = createContext(configFor(server));
+      const request = ctx.request;
+      const urls = [];
+      ctx.request = (options) => {
+        urls.push(options.url);
+        return request(options);
+      };
+      gui.registerRemoveListener(ctx);
+
+      await gui.checkB2Connection(ctx, configFor(server));
+      await ctx.listeners.remove([{ type: 'b2', fileName: 'a.png', imgUrl: `${server.url}/file/${server.bucketName}/a.png` }]);
+
+      assert.strictEqual(urls.length, server.calls.length);
+      assert.ok(urls.some(url => url.endsWith('/b2_delete_file_version')));
+      assert.strictEqual(server.latestFiles().length, 0);
+    });
+  });
+
+  describe('bucket browser', () => {
+    function browse(ctx, guiApi) {
+      return gui.guiMenu(ctx).find(i => i.label.includes('查看 B2 Bucket')).handle(ctx, guiApi);
+    }
+
+    it('pages through folders and copies Markdown for a file', async () => {
+      for (const name of ['a.png', 'b.png', 'c.png', 'docs/x.png', 'docs/y.png']) {
+        server.addFile(name, name);
+      }
+      server.pageLimit = 2;
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['下一页', '选择', '选择', '复制 Markdown', '上一级', '关闭'], ['2', '1']);
+
+      await browse(ctx, guiApi);
+
+      const [root, rootPage2, docs, file, docsAgain, rootAgain] = guiApi.boxes;
+      assert.match(root.message, /位置: \/ +第 1 页\n\n1\. a\.png \(5 B\)\n2\. b\.png/);
+      assert.deepStrictEqual(root.buttons, ['选择', '下一页', '关闭']);
+      assert.match(rootPage2.message, /第 2 页\n\n1\. c\.png .*\n2\. 📁 docs\/$/);
+      assert.deepStrictEqual(rootPage2.buttons, ['选择', '上一页', '关闭']);
+      assert.match(docs.message, /位置: \/docs\/ +第 1 页\n\n1\. x\.png/);
+      assert.deepStrictEqual(docs.buttons, ['选择', '上一级', '关闭']);
+      assert.strictEqual(file.title, 'docs/x.png');
+      assert.strictEqual(docsAgain.message, docs.message);
+      assert.strictEqual(rootAgain.message, root.message);
+
+      assert.strictEqual(ctx.notifications[0].title, 'Markdown 已复制');
+      assert.match(ctx.notifications[0].text, /^!\[x\.png\]\(http:\/\/127\.0\.0\.1:\d+\/file\/test-bucket\/docs\/x\.png\)$/);
+      assert.ok(server.callsTo('b2_list_file_names').every(call => call.body.delimiter === '/'));
+    });
+
+    it('deletes the chosen file and refreshes the page', async () => {
+      server.addFile('a.png', 'a');
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['选择', '删除', '删除', '关闭'], ['1']);
+
+      await browse(ctx, guiApi);
+
+      assert.strictEqual(server.latestFiles().length, 0);
+      assert.ok(guiApi.notifications.some(n => n.body === '删除成功'));
+      const last = guiApi.boxes[guiApi.boxes.length - 1];
+      assert.match(last.message, /（没有文件）/);
+      assert.deepStrictEqual(last.buttons, ['关闭']);
+    });
+
+    it('does not copy a link that SSE-C makes unservable', async () => {
+      server.addFile('a.png', 'a', { serverSideEncryption: { mode: 'SSE-C', customerAlgorithm: 'AES256' } });
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['选择', '复制链接', '关闭'], ['1']);
+
+      await browse(ctx, guiApi);
+
+      assert.deepStrictEqual(ctx.notifications, []);
+      assert.ok(guiApi.notifications.some(n => /^生成链接失败: SSE-C encrypted files/.test(n.body)));
+      assert.match(guiApi.boxes[guiApi.boxes.length - 1].message, /1\. a\.png/);
+    });
+
+    it('refuses to sign a link for SSE-C without a custom domain', async () => {
+      const config = configFor(server, { encryption: 'SSE-C' });
+
+      await assert.rejects(gui.signB2FileUrl('a.png', config, log), /SSE-C encrypted files cannot be downloaded/);
+      assert.strictEqual(server.callsTo('b2_get_download_authorization').length, 0);
+    });
+
+    it('rejects an invalid number', async () => {
+      server.addFile('a.png', 'a');
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['选择', '关闭'], ['5']);
+
+      await browse(ctx, guiApi);
+
+      assert.ok(guiApi.notifications.some(n => n.body === '无效的序号: 5'));
+      assert.strictEqual(server.files.length, 1);
+    });
+  });
+
+  describe('bulk delete', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    function purge(ctx, guiApi) {
+      return gui.guiMenu(ctx).find(i => i.label.includes('批量删除')).handle(ctx, guiApi);
+    }
+
+    beforeEach(() => {
+      server.addFile('shots/old.png', 'o'.repeat(2048), { uploadTimestamp: Date.now() - 400 * DAY });
+      server.addFile('shots/new.png', 'n');
+      server.addFile('blog/a.png', 'a');
+    });
+
+    it('previews the matching files and deletes them after confirmation', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['删除 1 个文件'], ['prefix=shots/ before=365d']);
+
+      await purge(ctx, guiApi);
+
+      const [confirm] = guiApi.boxes;
+      assert.strictEqual(confirm.message, '共 1 个文件，合计 2.00 KB\n将删除这些文件的所有历史版本（大小只计最新版本），此操作不可恢复！\n\nshots/old.png (2.00 KB)');
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['blog/a.png', 'shots/new.png']);
+      assert.strictEqual(guiApi.notifications[guiApi.notifications.length - 1].body, '已删除 1 个文件');
+    });
+
+    it('deletes every version of the matching files', async () => {
+      server.addFile('shots/old.png', 'older', { uploadTimestamp: Date.now() - 500 * DAY });
+      const ctx = createContext(configFor(server, { deletePolicy: 'latest' }));
+      const guiApi = scriptedGuiApi(['删除 1 个文件'], ['prefix=shots/ before=365d']);
+
+      await purge(ctx, guiApi);
+
+      assert.ok(!server.files.some(f => f.fileName === 'shots/old.png'));
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['blog/a.png', 'shots/new.png']);
+    });
+
+    it('deletes nothing when cancelled', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['取消'], ['glob=**/*.png']);
+
+      await purge(ctx, guiApi);
+
+      assert.match(guiApi.boxes[0].message, /^共 3 个文件/);
+      assert.strictEqual(server.latestFiles().length, 3);
+    });
+
+    it('reports each file that failed', async () => {
+      server.inject('b2_delete_file_version', { status: 400 }, 3);
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi(['删除 3 个文件', '确定'], ['glob=**/*.png']);
+
+      await purge(ctx, guiApi);
+
+      const report = guiApi.boxes[1];
+      assert.strictEqual(report.title, 'B2 批量删除（部分失败）');
+      assert.match(report.message, /^成功 0 个，失败 3 个\n\n❌ \S+\.png: Failed to delete file: Injected error\n/);
+      assert.strictEqual(ctx.logs.error.length, 3);
+    });
+
+    it('rejects unknown conditions', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi([], ['name=*.png']);
+
+      await purge(ctx, guiApi);
+
+      assert.match(guiApi.notifications[0].body, /^批量删除失败: Invalid condition: name=\*\.png/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+  });
+
+  describe('gallery reconciliation', () => {
+    function createGalleryDB(items) {
+      const db = {
+        items: items.map((item, index) => ({ id: `item-${index}`, ...item })),
+        async get() {
+          return { total: db.items.length, data: db.items };
+        },
+        async insertMany(newItems) {
+          db.items.push(...newItems.map((item, index) => ({ id: `new-${index}`, ...item })));
+        },
+        async removeById(id) {
+          db.items = db.items.filter(item => item.id !== id);
+        }
+      };
+      return db;
+    }
+
+    function runReconcile(ctx, guiApi) {
+      return gui.guiMenu(ctx).find(i => i.label.includes('核对相册')).handle(ctx, guiApi);
+    }
+
+    let galleryDB;
+
+    beforeEach(() => {
+      const recorded = server.addFile('blog/a.png', 'a');
+      server.addFile('legacy.png', 'l');
+      server.addFile('elsewhere/b.png', 'b');
+      galleryDB = createGalleryDB([
+        { type: 'b2', imgUrl: 'https://cdn.example.com/blog/a.png', b2: { fileId: recorded.fileId, fileName: 'blog/a.png', bucketId: server.bucketId } },
+        { type: 'b2', imgUrl: `${server.url}/file/test-bucket/legacy.png` },
+        { type: 'b2', imgUrl: 'https://cdn.example.com/gone.png', b2: { fileId: 'file-gone', fileName: 'gone.png', bucketId: server.bucketId } },
+        { type: 'b2', imgUrl: 'https://other.example.com/elsewhere/b.png', b2: { fileName: 'elsewhere/b.png', bucketId: 'other-bucket-id' } },
+        { type: 'smms', imgUrl: 'https://i.loli.net/x.png' }
+      ]);
+    });
+
+    it('reports orphans and dead entries, imports orphans and prunes dead entries', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = Object.assign(scriptedGuiApi(['导入到相册', '清理失效条目', '关闭']), { galleryDB });
+
+      await runReconcile(ctx, guiApi);
+
+      const [report, afterImport, afterPrune] = guiApi.boxes;
+      assert.strictEqual(report.message, [
+        '✅ 相册与 Bucket 一致: 2 个文件',
+        '☁️ 只在 Bucket 中的孤立文件: 1 个',
+        '    elsewhere/b.png',
+        '🖼️ 文件已不存在的相册条目: 1 个',
+        '    gone.png'
+      ].join('\n'));
+      assert.deepStrictEqual(report.buttons, ['删除孤立文件', '导入到相册', '清理失效条目', '关闭']);
+      assert.match(afterImport.message, /一致: 3 个文件\n☁️ 只在 Bucket 中的孤立文件: 0 个\n/);
+      assert.deepStrictEqual(afterPrune.buttons, ['关闭']);
+
+      const imported = galleryDB.items.find(item => item.id === 'new-0');
+      assert.strictEqual(imported.fileName, 'b.png');
+      assert.strictEqual(imported.extname, '.png');
+      assert.strictEqual(imported.type, 'b2');
+      assert.strictEqual(imported.imgUrl, `${server.url}/file/test-bucket/elsewhere/b.png`);
+      assert.strictEqual(imported.b2.fileName, 'elsewhere/b.png');
+      assert.strictEqual(imported.b2.bucketId, server.bucketId);
+      assert.ok(!galleryDB.items.some(item => item.b2 && item.b2.fileName === 'gone.png'));
+      assert.strictEqual(galleryDB.items.length, 5);
+      assert.strictEqual(server.files.length, 3);
+    });
+
+    it('deletes orphaned files after confirmation', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = Object.assign(scriptedGuiApi(['删除孤立文件', '删除', '关闭']), { galleryDB });
+
+      await runReconcile(ctx, guiApi);
+
+      assert.strictEqual(guiApi.boxes[1].message, '确定要删除 1 个孤立文件（合计 1 B）吗？\n将删除这些文件的所有历史版本（大小只计最新版本），此操作不可恢复！');
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['blog/a.png', 'legacy.png']);
+      assert.strictEqual(galleryDB.items.length, 5);
+    });
+
+    it('only reconciles files under the Path Prefix', async () => {
+      server.addFile('website/index.html', 'w');
+      const ctx = createContext(configFor(server, { pathPrefix: 'blog' }));
+      const guiApi = Object.assign(scriptedGuiApi(['关闭']), { galleryDB });
+
+      await runReconcile(ctx, guiApi);
+
+      assert.strictEqual(guiApi.boxes[0].title, '相册核对: test-bucket/blog/');
+      assert.strictEqual(guiApi.boxes[0].message, [
+        '✅ 相册与 Bucket 一致: 1 个文件',
+        '☁️ 只在 Bucket 中的孤立文件: 0 个',
+        '🖼️ 文件已不存在的相册条目: 0 个'
+      ].join('\n'));
+      assert.ok(server.callsTo('b2_list_file_names').every(call => call.body.prefix === 'blog/'));
+    });
+
+    it('combines the Path Prefix with the key\'s namePrefix', async () => {
+      server.allowed = { ...server.allowed, namePrefix: 'elsewhere/' };
+      const ctx = createContext(configFor(server, { autoNamePrefix: true }));
+      const guiApi = Object.assign(scriptedGuiApi(['关闭']), { galleryDB });
+
+      await runReconcile(ctx, guiApi);
+
+      assert.match(guiApi.boxes[0].message, /孤立文件: 1 个\n {4}elsewhere\/b\.png\n🖼️ 文件已不存在的相册条目: 0 个$/);
+      assert.ok(server.callsTo('b2_list_file_names').every(call => call.body.prefix === 'elsewhere/'));
+    });
+
+    it('leaves legacy entries of other buckets and hosts alone', async () => {
+      galleryDB = createGalleryDB([
+        { type: 'b2', imgUrl: `${server.url}/file/other-bucket/blog/a.png` },
+        { type: 'b2', imgUrl: 'https://unknown.example.com/missing.png' },
+        { type: 'b2', imgUrl: `${server.url}/file/other-bucket/missing.png` },
+        { type: 'b2', imgUrl: 'https://CDN.example.com/legacy.png?width=800' }
+      ]);
+      const ctx = createContext(configFor(server, { customDomain: 'https://cdn.example.com' }));
+      const guiApi = Object.assign(scriptedGuiApi(['关闭']), { galleryDB });
+
+      await runReconcile(ctx, guiApi);
+
+      assert.strictEqual(guiApi.boxes[0].message, [
+        '✅ 相册与 Bucket 一致: 1 个文件',
+        '☁️ 只在 Bucket 中的孤立文件: 2 个',
+        '    blog/a.png',
+        '    elsewhere/b.png',
+        '🖼️ 文件已不存在的相册条目: 0 个'
+      ].join('\n'));
+    });
+
+    it('explains when the gallery is not available', async () => {
+      const ctx = createContext(configFor(server));
+      const guiApi = scriptedGuiApi([]);
+
+      await runReconcile(ctx, guiApi);
+
+      assert.strictEqual(guiApi.notifications[0].body, '当前 PicGo 版本不支持访问相册，无法核对');
+      assert.strictEqual(server.calls.length, 0);
+    });
+  });
+
+  describe('connection test', () => {
+    async function runCheck(config) {
+      const ctx = createContext(config);
+      const item = gui.guiMenu(ctx).find(i => i.label.includes('测试连接'));
+      const boxes = [];
+      await item.handle(ctx, { showMessageBox: async (box) => { boxes.push(box); return { result: 0 }; }, showNotification: async () => {} });
+      return { ctx, box: boxes[0] };
+    }
+
+    it('reports a working setup and saves the bucket ID looked up from the name', async () => {
+      const { ctx, box } = await runCheck(configFor(server, { bucketId: '' }));
+
+      assert.strictEqual(box.title, 'B2 连接正常');
+      assert.match(box.message, /✅ Bucket: test-bucket \(test-bucket-id\)/);
+      assert.strictEqual(ctx.getConfig('picBed.b2.bucketId'), 'test-bucket-id');
+    });
+
+    it('looks up the bucket name with b2_list_buckets for keys not restricted to a bucket', async () => {
+      server.allowed = { buckets: null, capabilities: [...server.allowed.capabilities, 'listBuckets'], namePrefix: null };
+
+      const report = await gui.checkB2Connection(createContext(), configFor(server, { bucketName: '' }));
+
+      assert.strictEqual(report.ok, true);
+      assert.strictEqual(report.bucketName, 'test-bucket');
+      assert.deepStrictEqual(server.callsTo('b2_list_buckets')[0].body, { accountId: 'test-account', bucketId: 'test-bucket-id' });
+    });
+
+    it('lists every problem with the bucket and capabilities', async () => {
+      server.allowed = { ...server.allowed, capabilities: ['listFiles', 'readFiles'] };
+
+      const { box } = await runCheck(configFor(server, { bucketId: server.applicationKeyId }));
+
+      assert.strictEqual(box.title, 'B2 配置有误');
+      assert.match(box.message, /❌ Bucket ID is set to the Application Key ID; Bucket ID test-key-id is wrong: bucket "test-bucket" has ID test-bucket-id/);
+      assert.match(box.message, /❌ The application key lacks the writeFiles capability/);
+      assert.match(box.message, /❌ The application key lacks the deleteFiles capability/);
+      assert.doesNotMatch(box.message, /listFiles capability/);
+    });
+
+    it('names the buckets a restricted key can access', async () => {
+      const report = await gui.checkB2Connection(createContext(), configFor(server, { bucketId: '', bucketName: 'other-bucket' }));
+
+      assert.deepStrictEqual(report.problems, ['The application key is restricted to "test-bucket" and cannot access bucket "other-bucket"']);
+    });
+
+    it('points out a mismatched bucket ID and name', async () => {
+      server.allowed = { buckets: null, capabilities: [...server.allowed.capabilities, 'listBuckets'], namePrefix: null };
+
+      const report = await gui.checkB2Connection(createContext(), configFor(server, { bucketName: 'other-bucket' }));
+
+      assert.deepStrictEqual(report.problems, ['Bucket ID test-bucket-id belongs to bucket "test-bucket", not "other-bucket"']);
+    });
+
+    it('suggests the key ID when an account ID was entered', async () => {
+      const report = await gui.checkB2Connection(createContext(), configFor(server, { applicationKeyId: '0123456789ab' }));
+
+      assert.strictEqual(report.ok, false);
+      assert.match(report.problems[0], /^Authorization failed: Invalid application key/);
+      assert.match(report.problems[1], /looks like an Account ID/);
+    });
+
+    it('requires the private bucket capability only for private buckets', async () => {
+      const report = await gui.checkB2Connection(createContext(), configFor(server, { privateBucket: true }));
+
+      assert.deepStrictEqual(report.problems, ['The application key lacks the shareFiles capability (needed to sign URLs for a private bucket)']);
+    });
+  });
+
+  describe('profiles menu', () => {
+    it('switches to the chosen profile', async () => {
+      const ctx = createContext({ bucketName: 'blog', activeProfile: 'blog', profiles: { blog: { bucketName: 'blog' }, docs: { bucketName: 'docs' } } });
+      const item = gui.guiMenu(ctx).find(i => i.label.includes('切换配置档案'));
+      const guiApi = { showMessageBox: async () => ({ result: 1 }), showNotification: async () => {} };
+
+      assert.ok(item.label.includes('当前: blog'));
+      await item.handle(ctx, guiApi);
+
+      assert.strictEqual(ctx.getConfig('picBed.b2.activeProfile'), 'docs');
+      assert.strictEqual(ctx.getConfig('picBed.b2.bucketName'), 'docs');
+    });
+
+    it('keeps the profile when the switch is cancelled', async () => {
+      const ctx = createContext({ bucketName: 'blog', activeProfile: 'blog', profiles: { blog: { bucketName: 'blog' } } });
+      const item = gui.guiMenu(ctx).find(i => i.label.includes('切换配置档案'));
+
+      await item.handle(ctx, { showMessageBox: async () => ({ result: 1 }), showNotification: async () => {} });
+
+      assert.strictEqual(ctx.getConfig('picBed.b2.activeProfile'), 'blog');
+    });
+  });
+
+  describe('registerRemoveListener', () => {
+    it('deletes B2 files removed from the gallery', async () => {
+      const file = server.addFile('blog/a.png', 'a');
+      server.addFile('blog/b.png', 'b');
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([
+        { type: 'b2', fileName: 'a.png', imgUrl: `${server.url}/file/${server.bucketName}/${file.fileName}` },
+        { type: 'smms', fileName: 'c.png', imgUrl: 'https://example.com/c.png' }
+      ]);
+
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['blog/b.png']);
+      assert.ok(ctx.logs.info.some(l => l.includes('跳过非 B2 文件: c.png')));
+    });
+
+    it('deletes the exact version recorded on the item', async () => {
+      const older = server.addFile('blog/a.png', 'old', { uploadTimestamp: 1 });
+      const newer = server.addFile('blog/a.png', 'new', { uploadTimestamp: 2 });
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{
+        type: 'b2',
+        imgUrl: 'https://cdn.example.com/edited/by/hand.png?width=800',
+        b2: { fileId: older.fileId, fileName: older.fileName, bucketId: server.bucketId, contentSha1: older.contentSha1 }
+      }]);
+
+      assert.deepStrictEqual(server.files.map(f => f.fileId), [newer.fileId]);
+      assert.strictEqual(server.callsTo('b2_list_file_names').length, 0);
+    });
+
+    it('keeps a file that another gallery entry still uses', async () => {
+      const file = server.addFile('blog/a.png', 'a');
+      const b2 = { fileId: file.fileId, fileName: file.fileName, bucketId: server.bucketId };
+      const removed = { id: 'item-1', type: 'b2', imgUrl: 'https://cdn.example.com/blog/a.png', b2 };
+      const reused = { id: 'item-2', type: 'b2', imgUrl: 'https://cdn.example.com/blog/a.png', b2: { ...b2, reused: true } };
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+      const galleryDB = { get: async () => ({ total: 2, data: [removed, reused] }) };
+
+      await ctx.listeners.remove([removed], { galleryDB });
+      assert.strictEqual(server.latestFiles().length, 1);
+      assert.ok(ctx.logs.info.includes('[B2 GUI] 其他相册条目仍在使用该文件，跳过云端删除: blog/a.png'));
+
+      await ctx.listeners.remove([reused], { galleryDB: { get: async () => ({ total: 0, data: [] }) } });
+      assert.strictEqual(server.latestFiles().length, 0);
+    });
+
+    it('skips reused entries when the gallery cannot be read', async () => {
+      const file = server.addFile('blog/a.png', 'a');
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{
+        type: 'b2',
+        imgUrl: 'https://cdn.example.com/blog/a.png',
+        b2: { fileId: file.fileId, fileName: file.fileName, bucketId: server.bucketId, reused: true }
+      }]);
+
+      assert.strictEqual(server.latestFiles().length, 1);
+      assert.strictEqual(server.callsTo('b2_delete_file_version').length, 0);
+    });
+
+    it('deletes every version of a recorded file with the all policy', async () => {
+      const file = server.addFile('blog/a.png', 'old', { uploadTimestamp: 1 });
+      server.addFile('blog/a.png', 'new', { uploadTimestamp: 2 });
+      const ctx = createContext(configFor(server, { deletePolicy: 'all' }));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{ type: 'b2', b2: { fileId: file.fileId, fileName: file.fileName } }]);
+
+      assert.strictEqual(server.files.length, 0);
+      assert.ok(ctx.logs.info.some(l => l.includes('已删除 2 个版本: blog/a.png')));
+    });
+
+    it('treats an already deleted version as removed', async () => {
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{ type: 'b2', b2: { fileId: 'file-gone', fileName: 'gone.png' } }]);
+
+      assert.ok(ctx.logs.warn.some(l => l.includes('文件不存在或已删除: gone.png')));
+      assert.strictEqual(ctx.logs.error.length, 0);
+    });
+
+    it('decodes legacy URLs and ignores their query string', async () => {
+      server.addFile('blog/a b.png', 'a');
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{ type: 'b2', imgUrl: `${server.url}/file/${server.bucketName}/blog/a%20b.png?Authorization=token` }]);
+
+      assert.strictEqual(server.files.length, 0);
+    });
+
+    it('deletes files from the bucket of the profile they were uploaded with', async (t) => {
+      const docs = new MockB2Server({ applicationKeyId: 'docs-key-id', bucketId: 'docs-bucket-id', bucketName: 'docs' });
+      await docs.start();
+      t.after(() => docs.stop());
+      const file = docs.addFile('guide.png', 'g');
+      server.addFile('guide.png', 'blog copy');
+      const ctx = createContext({ ...configFor(server), activeProfile: 'blog', profiles: { docs: configFor(docs) } });
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([
+        { type: 'b2', fileName: 'guide.png', b2: { fileId: file.fileId, fileName: file.fileName, bucketId: docs.bucketId, profile: 'docs' } },
+        { type: 'b2', fileName: 'x.png', b2: { fileId: 'file-x', fileName: 'x.png', profile: 'removed' } }
+      ]);
+
+      assert.strictEqual(docs.files.length, 0);
+      assert.strictEqual(server.files.length, 1);
+      assert.ok(ctx.logs.warn.some(l => l.includes('配置档案 "removed" 不存在')));
+    });
+
+    it('logs failures without throwing', async () => {
+      server.addFile('a.png', 'a');
+      server.inject('b2_list_file_names', { status: 400, body: { status: 400, code: 'bad_request', message: 'Broken' } });
+      const ctx = createContext(configFor(server));
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{ type: 'b2', imgUrl: `${server.url}/file/${server.bucketName}/a.png` }]);
+
+      assert.ok(ctx.logs.error.some(l => l.includes('Broken')));
+    });
+
+    it('skips deletion when B2 is not configured', async () => {
+      const ctx = createContext(undefined);
+      gui.registerRemoveListener(ctx);
+
+      await ctx.listeners.remove([{ type: 'b2', imgUrl: `${server.url}/file/${server.bucketName}/a.png` }]);
+
+      assert.ok(ctx.logs.warn.some(l => l.includes('未配置 B2')));
+      assert.strictEqual(server.calls.length, 0);
+    });
+  });
+});
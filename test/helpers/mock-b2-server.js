@@ -0,0 +1,586 @@
+/**
+ * 进程内的 B2 API 模拟服务器，用于离线测试
+ *
+ * 实现了插件用到的接口: b2_authorize_account、b2_list_buckets、b2_get_upload_url、上传、
+ * b2_list_file_names、b2_list_file_versions、b2_delete_file_version、b2_hide_file、
+ * b2_get_download_authorization、大文件接口（b2_start_large_file 等），
+ * 以及按名称下载文件（bucketType 为 allPrivate 时需要下载授权，SSE-C 文件需要密钥）。
+ * 通过 inject() 可以让下一次调用返回指定的错误状态或畸形响应。
+ * 测试文件通过 useMockB2Server() 在 describe 中启动服务器，并在每个测试前恢复初始状态。
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { before, after, beforeEach } = require('node:test');
+const authCache = require('../../lib/auth-cache');
+
+const API_PREFIX = '/b2api/v4/';
+
+class MockB2Server {
+  constructor(options = {}) {
+    this.applicationKeyId = options.applicationKeyId || 'test-key-id';
+    this.applicationKey = options.applicationKey || 'test-key';
+    this.bucketId = options.bucketId || 'test-bucket-id';
+    this.bucketName = options.bucketName || 'test-bucket';
+    // 账户中的其他 Bucket（b2_list_buckets 返回）
+    this.extraBuckets = options.extraBuckets || [];
+    this.options = options;
+    this.reset();
+    this.tokens = new Set();
+    this.downloadAuths = new Map();
+    this.largeFiles = new Map();
+    this.counter = 0;
+    this.server = http.createServer((req, res) => this.onRequest(req, res));
+  }
+
+  /**
+   * 启动服务器，返回基础 URL（http://127.0.0.1:port）
+   * @returns {Promise<string>}
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * 恢复构造时的状态: 清空文件、调用记录和注入的错误，还原 Bucket 类型、密钥权限、分页和分片设置
+   */
+  reset() {
+    this.bucketType = this.options.bucketType || 'allPublic';
+    this.allowed = this.options.allowed || {
+      buckets: [{ id: this.bucketId, name: this.bucketName }],
+      capabilities: ['listFiles', 'readFiles', 'writeFiles', 'deleteFiles'],
+      namePrefix: null
+    };
+    this.files = [];
+    this.calls = [];
+    this.faults = {};
+    // 服务器端单页上限，用于测试分页
+    this.pageLimit = Infinity;
+    // 授权结果中的 absoluteMinimumPartSize
+    this.minimumPartSize = this.options.minimumPartSize || 5 * 1024 * 1024;
+  }
+
+  /**
+   * 让接下来对某个接口的调用返回指定响应
+   * @param {string} api - 接口名，如 b2_get_upload_url；上传使用 'upload'
+   * @param {Object} fault - { status, body, headers } 或 { raw: '非 JSON 文本' } 或 { destroy: true }，
+   *   或 { dropResponse: true }（正常处理请求，但断开连接而不返回响应）
+   * @param {number} times - 生效次数，默认 1
+   */
+  inject(api, fault, times = 1) {
+    this.faults[api] = this.faults[api] || [];
+    for (let i = 0; i < times; i++) {
+      this.faults[api].push(fault);
+    }
+  }
+
+  /**
+   * 使所有已发放的令牌失效，之后的请求返回 401 expired_auth_token
+   */
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  /**
+   * 直接放入一个文件（不经过上传接口）
+   * @param {string} fileName
+   * @param {Buffer|string} data
+   * @param {Object} extra - 额外字段，如 contentType、uploadTimestamp
+   * @returns {Object} B2 文件对象
+   */
+  addFile(fileName, data, extra = {}) {
+    const buffer = Buffer.from(data);
+    const file = {
+      accountId: 'test-account',
+      action: 'upload',
+      bucketId: this.bucketId,
+      contentLength: buffer.length,
+      contentSha1: crypto.createHash('sha1').update(buffer).digest('hex'),
+      contentType: 'application/octet-stream',
+      fileId: `file-${++this.counter}`,
+      fileInfo: {},
+      fileName,
+      serverSideEncryption: { mode: null },
+      uploadTimestamp: Date.now(),
+      ...extra
+    };
+    Object.defineProperty(file, 'data', { value: buffer, enumerable: false });
+    this.files.push(file);
+    return file;
+  }
+
+  /**
+   * 每个文件名的最新版本（隐藏的文件不包含在内）
+   * @returns {Array<Object>}
+   */
+  latestFiles() {
+    const latest = new Map();
+    for (const file of this.files) {
+      const current = latest.get(file.fileName);
+      if (!current || file.uploadTimestamp >= current.uploadTimestamp) {
+        latest.set(file.fileName, file);
+      }
+    }
+    return [...latest.values()]
+      .filter(f => f.action === 'upload')
+      .sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0));
+  }
+
+  callsTo(api) {
+    return this.calls.filter(c => c.api === api);
+  }
+
+  onRequest(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const url = new URL(req.url, this.url);
+      const api = url.pathname.startsWith(API_PREFIX)
+        ? url.pathname.substring(API_PREFIX.length)
+        : url.pathname.split('/')[1];
+
+      let body = raw;
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        try { body = JSON.parse(raw.toString()); } catch (e) { body = {}; }
+      }
+      this.calls.push({ api, headers: req.headers, body, url });
+
+      const fault = this.faults[api] && this.faults[api].shift();
+      if (fault && fault.dropResponse) {
+        res.writeHead = () => res;
+        res.end = () => res.socket.destroy();
+      } else if (fault) {
+        return this.sendFault(res, fault);
+      }
+
+      try {
+        this.route(api, req, res, body, url);
+      } catch (err) {
+        this.sendError(res, 500, 'internal_error', err.message);
+      }
+    });
+  }
+
+  route(api, req, res, body, url) {
+    switch (api) {
+      case 'b2_authorize_account':
+        return this.authorizeAccount(req, res);
+      case 'upload':
+        return this.uploadFile(req, res, body);
+      case 'upload_part':
+        return this.uploadPart(req, res, body, url);
+      case 'file':
+        return this.downloadFile(req, res, url);
+      default:
+        break;
+    }
+
+    if (!this.tokens.has(req.headers.authorization)) {
+      return this.sendError(res, 401, 'expired_auth_token', 'Authorization token has expired');
+    }
+
+    switch (api) {
+      case 'b2_list_buckets':
+        return this.listBuckets(res, body);
+      case 'b2_get_upload_url':
+        return this.getUploadUrl(res, body);
+      case 'b2_list_file_names':
+        return this.listFileNames(res, body);
+      case 'b2_list_file_versions':
+        return this.listFileVersions(res, body);
+      case 'b2_hide_file':
+        return this.hideFile(res, body);
+      case 'b2_delete_file_version':
+        return this.deleteFileVersion(res, body);
+      case 'b2_start_large_file':
+        return this.startLargeFile(res, body);
+      case 'b2_get_upload_part_url':
+        return this.getUploadPartUrl(res, body);
+      case 'b2_finish_large_file':
+        return this.finishLargeFile(res, body);
+      case 'b2_cancel_large_file':
+        return this.cancelLargeFile(res, body);
+      case 'b2_get_download_authorization':
+        return this.getDownloadAuthorization(res, body);
+      default:
+        return this.sendError(res, 404, 'not_found', `Unknown API: ${api}`);
+    }
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  sendError(res, status, code, message, headers) {
+    this.sendJson(res, status, { status, code, message }, headers);
+  }
+
+  sendFault(res, fault) {
+    if (fault.destroy) {
+      res.socket.destroy();
+      return;
+    }
+    if (fault.raw !== undefined) {
+      res.writeHead(fault.status || 200, { 'Content-Type': 'text/plain' });
+      res.end(fault.raw);
+      return;
+    }
+    this.sendJson(res, fault.status, fault.body || { status: fault.status, code: 'injected', message: 'Injected error' }, fault.headers);
+  }
+
+  issueToken(kind) {
+    const token = `${kind}-token-${++this.counter}`;
+    this.tokens.add(token);
+    return token;
+  }
+
+  authorizeAccount(req, res) {
+    const expected = Buffer.from(`${this.applicationKeyId}:${this.applicationKey}`).toString('base64');
+    if (req.headers.authorization !== `Basic ${expected}`) {
+      return this.sendError(res, 401, 'unauthorized', 'Invalid application key');
+    }
+    this.sendJson(res, 200, {
+      accountId: 'test-account',
+      authorizationToken: this.issueToken('account'),
+      apiInfo: {
+        storageApi: {
+          apiUrl: this.url,
+          downloadUrl: this.url,
+          recommendedPartSize: 100 * 1024 * 1024,
+          absoluteMinimumPartSize: this.minimumPartSize,
+          allowed: this.allowed
+        }
+      }
+    });
+  }
+
+  listBuckets(res, body) {
+    if (!(this.allowed.capabilities || []).includes('listBuckets')) {
+      return this.sendError(res, 401, 'unauthorized', 'Application key does not have listBuckets capability');
+    }
+    const buckets = [{ bucketId: this.bucketId, bucketName: this.bucketName }, ...this.extraBuckets]
+      .filter(bucket => !body.bucketId || bucket.bucketId === body.bucketId)
+      .filter(bucket => !body.bucketName || bucket.bucketName === body.bucketName)
+      .map(bucket => ({ accountId: 'test-account', bucketType: this.bucketType, ...bucket }));
+    this.sendJson(res, 200, { buckets });
+  }
+
+  getUploadUrl(res, body) {
+    if (body.bucketId !== this.bucketId) {
+      return this.sendError(res, 400, 'bad_request', `Invalid bucketId: ${body.bucketId}`);
+    }
+    this.sendJson(res, 200, {
+      bucketId: this.bucketId,
+      uploadUrl: `${this.url}/upload/${++this.counter}`,
+      authorizationToken: this.issueToken('upload')
+    });
+  }
+
+  /**
+   * 解析请求中的服务端加密请求头，返回 B2 文件对象上的 serverSideEncryption
+   * 密钥与 MD5 不匹配时返回 { error }
+   */
+  parseEncryption(headers) {
+    if (headers['x-bz-server-side-encryption-customer-algorithm']) {
+      const key = Buffer.from(headers['x-bz-server-side-encryption-customer-key'] || '', 'base64');
+      const md5 = crypto.createHash('md5').update(key).digest('base64');
+      if (key.length !== 32 || md5 !== headers['x-bz-server-side-encryption-customer-key-md5']) {
+        return { error: 'SSE-C customer key does not match its MD5' };
+      }
+      return { mode: 'SSE-C', algorithm: headers['x-bz-server-side-encryption-customer-algorithm'], customerKeyMd5: md5 };
+    }
+    if (headers['x-bz-server-side-encryption']) {
+      return { mode: 'SSE-B2', algorithm: headers['x-bz-server-side-encryption'] };
+    }
+    return { mode: null };
+  }
+
+  uploadFile(req, res, data) {
+    if (!this.tokens.has(req.headers.authorization)) {
+      return this.sendError(res, 401, 'expired_auth_token', 'Authorization token has expired');
+    }
+    const serverSideEncryption = this.parseEncryption(req.headers);
+    if (serverSideEncryption.error) {
+      return this.sendError(res, 400, 'bad_request', serverSideEncryption.error);
+    }
+    const fileName = decodeURIComponent(req.headers['x-bz-file-name'] || '');
+    if (this.allowed.namePrefix && !fileName.startsWith(this.allowed.namePrefix)) {
+      return this.sendError(res, 401, 'unauthorized', 'unauthorized');
+    }
+    const contentSha1 = crypto.createHash('sha1').update(data).digest('hex');
+    if (req.headers['x-bz-content-sha1'] !== contentSha1) {
+      return this.sendError(res, 400, 'bad_request', 'Checksum did not match data received');
+    }
+    const fileInfo = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (name.startsWith('x-bz-info-')) {
+        fileInfo[name.substring('x-bz-info-'.length)] = decodeURIComponent(value);
+      }
+    }
+    const file = this.addFile(fileName, data, {
+      contentType: req.headers['content-type'],
+      fileInfo,
+      serverSideEncryption
+    });
+    this.sendJson(res, 200, file);
+  }
+
+  startLargeFile(res, body) {
+    if (body.bucketId !== this.bucketId) {
+      return this.sendError(res, 400, 'bad_request', `Invalid bucketId: ${body.bucketId}`);
+    }
+    const largeFile = {
+      accountId: 'test-account',
+      action: 'start',
+      bucketId: this.bucketId,
+      contentType: body.contentType,
+      fileId: `large-file-${++this.counter}`,
+      fileInfo: body.fileInfo || {},
+      fileName: body.fileName,
+      serverSideEncryption: { mode: null },
+      uploadTimestamp: Date.now()
+    };
+    if (body.serverSideEncryption) {
+      const { mode, algorithm, customerKey, customerKeyMd5 } = body.serverSideEncryption;
+      largeFile.serverSideEncryption = mode === 'SSE-C' ? { mode, algorithm, customerKeyMd5 } : { mode, algorithm };
+      if (mode === 'SSE-C' && crypto.createHash('md5').update(Buffer.from(customerKey || '', 'base64')).digest('base64') !== customerKeyMd5) {
+        return this.sendError(res, 400, 'bad_request', 'SSE-C customer key does not match its MD5');
+      }
+    }
+    this.largeFiles.set(largeFile.fileId, { ...largeFile, parts: [] });
+    this.sendJson(res, 200, largeFile);
+  }
+
+  getUploadPartUrl(res, body) {
+    if (!this.largeFiles.has(body.fileId)) {
+      return this.sendError(res, 400, 'bad_request', `Unknown large file: ${body.fileId}`);
+    }
+    this.sendJson(res, 200, {
+      fileId: body.fileId,
+      uploadUrl: `${this.url}/upload_part/${encodeURIComponent(body.fileId)}`,
+      authorizationToken: this.issueToken('part')
+    });
+  }
+
+  uploadPart(req, res, data, url) {
+    if (!this.tokens.has(req.headers.authorization)) {
+      return this.sendError(res, 401, 'expired_auth_token', 'Authorization token has expired');
+    }
+    const fileId = decodeURIComponent(url.pathname.split('/')[2]);
+    const largeFile = this.largeFiles.get(fileId);
+    const partNumber = Number(req.headers['x-bz-part-number']);
+    const contentSha1 = crypto.createHash('sha1').update(data).digest('hex');
+    if (!largeFile || !(partNumber >= 1)) {
+      return this.sendError(res, 400, 'bad_request', `Invalid part ${partNumber} of ${fileId}`);
+    }
+    if (req.headers['x-bz-content-sha1'] !== contentSha1) {
+      return this.sendError(res, 400, 'bad_request', 'Checksum did not match data received');
+    }
+    if (largeFile.serverSideEncryption.mode === 'SSE-C'
+      && this.parseEncryption(req.headers).customerKeyMd5 !== largeFile.serverSideEncryption.customerKeyMd5) {
+      return this.sendError(res, 400, 'bad_request', 'Parts of an SSE-C file require the same customer key');
+    }
+    largeFile.parts[partNumber - 1] = { data, contentSha1 };
+    this.sendJson(res, 200, { fileId, partNumber, contentLength: data.length, contentSha1 });
+  }
+
+  finishLargeFile(res, body) {
+    const largeFile = this.largeFiles.get(body.fileId);
+    if (!largeFile) {
+      return this.sendError(res, 400, 'bad_request', `Unknown large file: ${body.fileId}`);
+    }
+    const partSha1s = largeFile.parts.map(p => p && p.contentSha1);
+    if (JSON.stringify(partSha1s) !== JSON.stringify(body.partSha1Array)) {
+      return this.sendError(res, 400, 'bad_request', 'Part SHA1 array does not match uploaded parts');
+    }
+    this.largeFiles.delete(body.fileId);
+    const file = this.addFile(largeFile.fileName, Buffer.concat(largeFile.parts.map(p => p.data)), {
+      contentSha1: 'none',
+      contentType: largeFile.contentType,
+      fileId: largeFile.fileId,
+      fileInfo: largeFile.fileInfo,
+      serverSideEncryption: largeFile.serverSideEncryption
+    });
+    this.sendJson(res, 200, file);
+  }
+
+  cancelLargeFile(res, body) {
+    const largeFile = this.largeFiles.get(body.fileId);
+    if (!largeFile) {
+      return this.sendError(res, 400, 'bad_request', `Unknown large file: ${body.fileId}`);
+    }
+    this.largeFiles.delete(body.fileId);
+    this.sendJson(res, 200, { accountId: 'test-account', bucketId: this.bucketId, fileId: body.fileId, fileName: largeFile.fileName });
+  }
+
+  listFileNames(res, body) {
+    const maxFileCount = Math.min(body.maxFileCount || 100, this.pageLimit);
+    const prefix = body.prefix || '';
+    let files = this.latestFiles().filter(f => f.fileName.startsWith(prefix));
+    if (body.delimiter) {
+      files = this.collapseFolders(files, prefix, body.delimiter);
+    }
+    if (body.startFileName) {
+      files = files.filter(f => f.fileName >= body.startFileName);
+    }
+
+    const page = files.slice(0, maxFileCount);
+    const next = files[maxFileCount];
+    this.sendJson(res, 200, {
+      files: page,
+      nextFileName: next ? next.fileName : null
+    });
+  }
+
+  /**
+   * 按分隔符把下一级目录中的文件合并为 action 为 folder 的条目
+   */
+  collapseFolders(files, prefix, delimiter) {
+    const entries = [];
+    for (const file of files) {
+      const index = file.fileName.indexOf(delimiter, prefix.length);
+      if (index === -1) {
+        entries.push(file);
+        continue;
+      }
+      const folderName = file.fileName.substring(0, index + delimiter.length);
+      if (!entries.some(entry => entry.fileName === folderName)) {
+        entries.push({ action: 'folder', fileId: null, fileName: folderName, contentLength: 0, uploadTimestamp: 0 });
+      }
+    }
+    return entries.sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0));
+  }
+
+  listFileVersions(res, body) {
+    const maxFileCount = Math.min(body.maxFileCount || 100, this.pageLimit);
+    const prefix = body.prefix || '';
+    // 按文件名升序，同名文件新版本在前
+    const versions = this.files
+      .filter(f => f.fileName.startsWith(prefix))
+      .sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : b.uploadTimestamp - a.uploadTimestamp));
+
+    let start = 0;
+    if (body.startFileName) {
+      start = versions.findIndex(f => f.fileName >= body.startFileName);
+      if (start === -1) {
+        start = versions.length;
+      }
+      if (body.startFileId) {
+        const index = versions.findIndex(f => f.fileName === body.startFileName && f.fileId === body.startFileId);
+        start = index === -1 ? start : index;
+      }
+    }
+
+    const page = versions.slice(start, start + maxFileCount);
+    const next = versions[start + maxFileCount];
+    this.sendJson(res, 200, {
+      files: page,
+      nextFileName: next ? next.fileName : null,
+      nextFileId: next ? next.fileId : null
+    });
+  }
+
+  hideFile(res, body) {
+    const latest = this.latestFiles().find(f => f.fileName === body.fileName);
+    if (body.bucketId !== this.bucketId || !latest) {
+      return this.sendError(res, 400, 'no_such_file', `File not present: ${body.fileName}`);
+    }
+    const marker = this.addFile(body.fileName, '', {
+      action: 'hide',
+      contentType: 'application/x-bz-hide-marker',
+      contentSha1: 'none',
+      uploadTimestamp: Math.max(Date.now(), latest.uploadTimestamp + 1)
+    });
+    this.sendJson(res, 200, marker);
+  }
+
+  deleteFileVersion(res, body) {
+    const index = this.files.findIndex(f => f.fileId === body.fileId && f.fileName === body.fileName);
+    if (index === -1) {
+      return this.sendError(res, 400, 'file_not_present', `File not present: ${body.fileName} ${body.fileId}`);
+    }
+    this.files.splice(index, 1);
+    this.sendJson(res, 200, { fileId: body.fileId, fileName: body.fileName });
+  }
+
+  getDownloadAuthorization(res, body) {
+    if (body.bucketId !== this.bucketId) {
+      return this.sendError(res, 400, 'bad_request', `Invalid bucketId: ${body.bucketId}`);
+    }
+    const duration = body.validDurationInSeconds;
+    if (!Number.isInteger(duration) || duration < 1 || duration > 604800) {
+      return this.sendError(res, 400, 'bad_request', `Invalid validDurationInSeconds: ${duration}`);
+    }
+    const authorizationToken = `download-token-${++this.counter}`;
+    this.downloadAuths.set(authorizationToken, {
+      fileNamePrefix: body.fileNamePrefix,
+      expiresAt: Date.now() + duration * 1000
+    });
+    this.sendJson(res, 200, {
+      bucketId: this.bucketId,
+      fileNamePrefix: body.fileNamePrefix,
+      authorizationToken
+    });
+  }
+
+  isDownloadAuthorized(req, url, fileName) {
+    const token = url.searchParams.get('Authorization') || req.headers.authorization;
+    if (this.tokens.has(token)) {
+      return true;
+    }
+    const auth = this.downloadAuths.get(token);
+    return Boolean(auth && auth.expiresAt > Date.now() && fileName.startsWith(auth.fileNamePrefix));
+  }
+
+  downloadFile(req, res, url) {
+    const parts = url.pathname.split('/').slice(2);
+    const bucketName = parts.shift();
+    const fileName = parts.map(decodeURIComponent).join('/');
+    if (this.bucketType === 'allPrivate' && !this.isDownloadAuthorized(req, url, fileName)) {
+      return this.sendError(res, 401, 'unauthorized', 'Download authorization required');
+    }
+    const file = bucketName === this.bucketName && this.latestFiles().find(f => f.fileName === fileName);
+    if (!file) {
+      return this.sendError(res, 404, 'not_found', `File not found: ${fileName}`);
+    }
+    const encryption = file.serverSideEncryption || {};
+    if (encryption.mode === 'SSE-C' && this.parseEncryption(req.headers).customerKeyMd5 !== encryption.customerKeyMd5) {
+      return this.sendError(res, 400, 'bad_request', 'The file is encrypted with SSE-C; the customer key is required');
+    }
+    res.writeHead(200, { 'Content-Type': file.contentType });
+    res.end(file.data);
+  }
+}
+
+/**
+ * 在当前 describe 中使用一个模拟服务器: 所有测试前启动，结束后关闭，
+ * 每个测试前恢复初始状态并清空授权缓存
+ * @param {Object} options - MockB2Server 的构造参数
+ * @returns {MockB2Server} 在 before 钩子之后才有 url
+ */
+function useMockB2Server(options) {
+  const server = new MockB2Server(options);
+  before(() => server.start());
+  after(() => server.stop());
+  beforeEach(() => {
+    authCache.clear();
+    server.reset();
+  });
+  return server;
+}
+
+module.exports = {
+  MockB2Server,
+  useMockB2Server
+};
@@ -0,0 +1,178 @@
+/**
+ * 模拟 PicGo 上下文，用于离线测试
+ */
+
+const { httpTransport } = require('../../lib/transport');
+
+/**
+ * 与 PicGo ctx.request 行为一致的请求函数:
+ * 2xx 时直接返回响应体，非 2xx 时 reject（axios 风格，错误响应在 err.response 上）
+ * @param {Object} options
+ * @returns {Promise<*>}
+ */
+async function picgoRequest(options) {
+  const response = await httpTransport(options);
+  if (response.status >= 200 && response.status < 300) {
+    return response.body;
+  }
+  const err = new Error(`Request failed with status code ${response.status}`);
+  err.response = {
+    status: response.status,
+    headers: response.headers,
+    data: response.body
+  };
+  throw err;
+}
+
+/**
+ * 模拟 commander 的命令对象，只实现插件用到的 command / description / option / action，
+ * run() 按参数找到子命令并调用其 action（位置参数在前，选项对象在后）
+ * @param {string} spec - 如 'use [profile]'
+ * @returns {Object}
+ */
+function createCommand(spec = '') {
+  const [name, ...args] = spec.split(' ').filter(Boolean);
+  const command = {
+    name,
+    args,
+    options: [],
+    commands: [],
+    handler: null,
+    command(childSpec) {
+      const child = createCommand(childSpec);
+      command.commands.push(child);
+      return child;
+    },
+    description() {
+      return command;
+    },
+    option(flags, description, defaultValue) {
+      const [, short, long, value] = flags.match(/^(?:-(\w),\s*)?--([\w-]+)(?:\s+[<[](\w+)[>\]])?/);
+      const key = long.replace(/-(\w)/g, (m, c) => c.toUpperCase());
+      command.options.push({ short, long, key, takesValue: Boolean(value), defaultValue });
+      return command;
+    },
+    action(handler) {
+      command.handler = handler;
+      return command;
+    },
+    /**
+     * @param {Array<string>} argv - 例如 ['b2', 'use', 'blog']
+     * @returns {Promise<*>}
+     */
+    run(argv) {
+      const child = command.commands.find(c => c.name === argv[0]);
+      if (child) {
+        return child.run(argv.slice(1));
+      }
+      const positional = [];
+      const options = {};
+      for (const option of command.options) {
+        if (option.defaultValue !== undefined) {
+          options[option.key] = option.defaultValue;
+        }
+      }
+      for (let i = 0; i < argv.length; i++) {
+        const option = argv[i].startsWith('--')
+          ? command.options.find(o => o.long === argv[i].substring(2))
+          : argv[i].startsWith('-') && command.options.find(o => o.short === argv[i].substring(1));
+        if (option) {
+          options[option.key] = option.takesValue ? argv[++i] : true;
+        } else {
+          positional.push(argv[i]);
+        }
+      }
+      const values = command.args.map((arg, i) => (arg.includes('...') ? positional.slice(i) : positional[i]));
+      return command.handler(...values, options, command);
+    }
+  };
+  return command;
+}
+
+/**
+ * 创建模拟的 PicGo ctx
+ * @param {Object} config - picBed.b2 配置
+ * @param {Object} options - { output, baseDir }
+ * @returns {Object}
+ */
+function createContext(config, options = {}) {
+  const store = { picBed: { b2: config } };
+  const logs = { info: [], warn: [], error: [] };
+  const listeners = {};
+
+  const ctx = {
+    baseDir: options.baseDir,
+    output: options.output || [],
+    notifications: [],
+    logs,
+    listeners,
+    helper: {
+      uploader: {
+        register(name, uploader) {
+          ctx.uploaders = { ...(ctx.uploaders || {}), [name]: uploader };
+        }
+      }
+    },
+    log: {
+      info: (...args) => logs.info.push(args.join(' ')),
+      success: (...args) => logs.info.push(args.join(' ')),
+      warn: (...args) => logs.warn.push(args.join(' ')),
+      error: (...args) => logs.error.push(args.join(' '))
+    },
+    request: picgoRequest,
+    cmd: {
+      program: createCommand(),
+      register(name, plugin) {
+        plugin.handle(ctx);
+      }
+    },
+    getConfig(key) {
+      return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), store);
+    },
+    saveConfig(values) {
+      for (const [key, value] of Object.entries(values)) {
+        const parts = key.split('.');
+        let target = store;
+        for (const part of parts.slice(0, -1)) {
+          target[part] = target[part] || {};
+          target = target[part];
+        }
+        target[parts[parts.length - 1]] = value;
+      }
+    },
+    emit(event, payload) {
+      if (event === 'notification') {
+        ctx.notifications.push(payload);
+      }
+    },
+    on(event, handler) {
+      listeners[event] = handler;
+    }
+  };
+
+  return ctx;
+}
+
+/**
+ * 根据模拟服务器生成插件配置
+ * @param {MockB2Server} server
+ * @param {Object} extra
+ * @returns {Object}
+ */
+function configFor(server, extra = {}) {
+  return {
+    applicationKeyId: server.applicationKeyId,
+    applicationKey: server.applicationKey,
+    bucketId: server.bucketId,
+    bucketName: server.bucketName,
+    apiEndpoint: server.url,
+    maxAttempts: '2',
+    ...extra
+  };
+}
+
+module.exports = {
+  createContext,
+  configFor,
+  picgoRequest
+};
@@ -0,0 +1,802 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const plugin = require('../index.js');
+const { MockB2Server, useMockB2Server } = require('./helpers/mock-b2-server');
+const { createContext, configFor } = require('./helpers/picgo-ctx');
+const { httpTransport } = require('../lib/transport');
+const gui = require('../gui.js');
+const { readOrientation } = require('../lib/strip-metadata');
+const { API_ENDPOINT_ENV } = require('../lib/endpoint');
+
+const SSE_C_KEY = Buffer.alloc(32, 7).toString('base64');
+
+function setup(server, extra, output, options = {}) {
+  const ctx = createContext(configFor(server, extra), { output, ...options });
+  plugin(ctx).register(ctx);
+  return ctx;
+}
+
+function jpegSegment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+function exifWithOrientation(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  return Buffer.concat([tiff, Buffer.from('GPS 48.8584 N 2.2945 E')]);
+}
+
+function jpegWithMetadata() {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    jpegSegment(0xe0, Buffer.from('JFIF\0\x01\x01')),
+    jpegSegment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), exifWithOrientation(6)])),
+    jpegSegment(0xe1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+    jpegSegment(0xed, Buffer.from('Photoshop 3.0\0IPTC')),
+    jpegSegment(0xdb, Buffer.alloc(65, 1)),
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9])
+  ]);
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  return chunk;
+}
+
+function pngWithMetadata() {
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', Buffer.alloc(13)),
+    pngChunk('tEXt', Buffer.from('Comment\0taken at home')),
+    pngChunk('eXIf', exifWithOrientation(3)),
+    pngChunk('IDAT', Buffer.alloc(10, 2)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function webpChunk(fourcc, data) {
+  const chunk = Buffer.alloc(8 + data.length + (data.length % 2));
+  chunk.write(fourcc, 0, 'latin1');
+  chunk.writeUInt32LE(data.length, 4);
+  data.copy(chunk, 8);
+  return chunk;
+}
+
+function webpWithMetadata() {
+  const body = Buffer.concat([
+    webpChunk('VP8X', Buffer.from([0x0c, 0, 0, 0, 0, 0, 0, 0, 0, 0])),
+    webpChunk('VP8 ', Buffer.alloc(12, 3)),
+    webpChunk('EXIF', exifWithOrientation(6)),
+    webpChunk('XMP ', Buffer.from('<x:xmpmeta/>'))
+  ]);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function webpChunkTypes(buffer) {
+  const types = [];
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const size = buffer.readUInt32LE(offset + 4);
+    types.push(buffer.toString('latin1', offset, offset + 4));
+    offset += 8 + size + (size % 2);
+  }
+  return types;
+}
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function image(fileName, content) {
+  const extname = fileName.substring(fileName.lastIndexOf('.'));
+  return { fileName, extname, buffer: Buffer.from(content) };
+}
+
+describe('uploader', () => {
+  const server = useMockB2Server();
+
+  describe('config', () => {
+    it('describes the required fields with saved values as defaults', () => {
+      const ctx = setup(server, { bucketName: 'saved-bucket' });
+      const fields = ctx.uploaders.b2.config(ctx);
+      const byName = Object.fromEntries(fields.map(f => [f.name, f]));
+
+      for (const name of ['applicationKeyId', 'applicationKey']) {
+        assert.strictEqual(byName[name].required, true, name);
+      }
+      // 只需填写 Bucket ID 或 Bucket Name 其中之一
+      assert.strictEqual(byName.bucketId.required, false);
+      assert.strictEqual(byName.bucketName.required, false);
+      assert.strictEqual(byName.bucketName.default, 'saved-bucket');
+      assert.strictEqual(byName.pathPrefix.required, false);
+    });
+
+    it('falls back to empty defaults without saved config', () => {
+      const ctx = createContext(undefined);
+      plugin(ctx).register(ctx);
+      const fields = ctx.uploaders.b2.config(ctx);
+      assert.strictEqual(fields.find(f => f.name === 'applicationKeyId').default, '');
+    });
+  });
+
+  describe('handle', () => {
+    it('uploads files and sets their URLs', async () => {
+      const ctx = setup(server, {}, [image('logo.png', 'png-data'), image('photo.jpg', 'jpg-data')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.files.length, 2);
+      const [png, jpg] = ctx.output;
+      assert.match(png.imgUrl, new RegExp(`^${server.url}/file/test-bucket/logo_\\d+_\\w{6}\\.png$`));
+      assert.match(jpg.imgUrl, /\/photo_\d+_\w{6}\.jpg$/);
+
+      const stored = server.files.find(f => png.imgUrl.endsWith(f.fileName));
+      assert.strictEqual(stored.data.toString(), 'png-data');
+      assert.strictEqual(stored.contentType, 'image/png');
+    });
+
+    it('records the B2 identifiers on each item', async () => {
+      const ctx = setup(server, { pathPrefix: 'blog', keyTemplate: '{name}.{ext}' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [file] = server.files;
+      assert.deepStrictEqual(ctx.output[0].b2, {
+        fileId: file.fileId,
+        fileName: 'blog/a.png',
+        bucketId: server.bucketId,
+        contentSha1: file.contentSha1
+      });
+    });
+
+    it('detects content types from magic bytes', async () => {
+      const ftyp = (brand, ...compatible) => {
+        const box = Buffer.alloc(16 + compatible.length * 4);
+        box.writeUInt32BE(box.length, 0);
+        box.write(`ftyp${brand}`, 4, 'latin1');
+        compatible.forEach((c, i) => box.write(c, 16 + i * 4, 'latin1'));
+        return box;
+      };
+      const files = {
+        'a.avif': ftyp('mif1', 'mif1', 'avif'),
+        'b.heic': ftyp('heic', 'mif1'),
+        'c.mp4': ftyp('isom', 'isom', 'avc1'),
+        'd.tif': Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08]),
+        'e.jxl': Buffer.from([0xff, 0x0a, 0x00]),
+        'f.webm': Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from('webm')]),
+        'g.pdf': Buffer.from('%PDF-1.7\n'),
+        'h.svg': Buffer.from('\uFEFF<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>'),
+        'no-extension': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        'notes.md': Buffer.from('# notes')
+      };
+      const ctx = setup(server, { keyTemplate: '{name}.{ext}' },
+        Object.entries(files).map(([fileName, buffer]) => ({ fileName, extname: path.extname(fileName), buffer })));
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const types = Object.fromEntries(server.files.map(f => [f.fileName, f.contentType]));
+      assert.deepStrictEqual(types, {
+        'a.avif': 'image/avif',
+        'b.heic': 'image/heic',
+        'c.mp4': 'video/mp4',
+        'd.tif': 'image/tiff',
+        'e.jxl': 'image/jxl',
+        'f.webm': 'video/webm',
+        'g.pdf': 'application/pdf',
+        'h.svg': 'image/svg+xml',
+        'no-extension': 'image/png',
+        'notes.md': 'text/markdown'
+      });
+      assert.strictEqual(ctx.logs.warn.length, 0);
+    });
+
+    it('warns when the extension does not match the content', async () => {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+      const ctx = setup(server, {}, [{ fileName: 'photo.png', extname: '.png', buffer: jpeg }]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.files[0].contentType, 'image/jpeg');
+      assert.match(ctx.logs.warn[0], /photo\.png looks like image\/jpeg but its extension suggests image\/png/);
+    });
+
+    it('applies custom content type mappings', async () => {
+      const ctx = setup(server, { contentTypes: '.glb=model/gltf-binary; PNG = image/x-custom' }, [
+        image('model.glb', 'glTF'),
+        { fileName: 'a.png', extname: '.png', buffer: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.deepStrictEqual(server.files.map(f => f.contentType).sort(), ['image/x-custom', 'model/gltf-binary']);
+      assert.strictEqual(ctx.logs.warn.length, 0);
+    });
+
+    it('rejects malformed content type mappings before uploading', async () => {
+      const ctx = setup(server, { contentTypes: '.glb' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Invalid content type mapping: \.glb/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('sends custom file info headers', async () => {
+      const ctx = setup(server, {
+        keyTemplate: '{slug}.{ext}',
+        cacheControl: 'public, max-age=31536000, immutable',
+        contentDisposition: 'inline; filename="{originalName}"',
+        fileInfo: 'original-name={originalName}; source=picgo; sha={sha1}'
+      }, [image('My Photo.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.deepStrictEqual(server.files[0].fileInfo, {
+        'original-name': 'My Photo.png',
+        'source': 'picgo',
+        'sha': server.files[0].contentSha1,
+        'b2-cache-control': 'public, max-age=31536000, immutable',
+        'b2-content-disposition': 'inline; filename="My Photo.png"'
+      });
+    });
+
+    it('puts file info on large files when they are started', async () => {
+      const buffer = Buffer.alloc(10 * 1024 * 1024, 1);
+      const ctx = setup(server, { largeFileThreshold: '10', partSize: '5', cacheControl: 'max-age=60' }, [
+        { fileName: 'video.mp4', extname: '.mp4', buffer }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [start] = server.callsTo('b2_start_large_file');
+      assert.strictEqual(start.body.fileInfo['b2-cache-control'], 'max-age=60');
+      assert.strictEqual(server.callsTo('upload_part').length, 2);
+      const [file] = server.files;
+      assert.ok(file.data.equals(buffer));
+      assert.deepStrictEqual(ctx.output[0].b2.contentSha1, file.fileInfo.large_file_sha1);
+    });
+
+    it('switches to the large file API at the authorized minimum part size', async () => {
+      server.minimumPartSize = 1024;
+      const buffer = Buffer.alloc(4096, 2);
+      const ctx = setup(server, { largeFileThreshold: '0.001', partSize: '0.001' }, [
+        { fileName: 'a.bin', extname: '.bin', buffer }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_start_large_file').length, 1);
+      assert.strictEqual(server.callsTo('upload_part').length, 4);
+      assert.ok(server.files[0].data.equals(buffer));
+    });
+
+    it('keeps a large file whose finish response was lost', async () => {
+      server.minimumPartSize = 1024;
+      server.inject('b2_finish_large_file', { dropResponse: true });
+      const buffer = Buffer.alloc(4096, 3);
+      const ctx = setup(server, { largeFileThreshold: '0.001' }, [
+        { fileName: 'a.bin', extname: '.bin', buffer }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_finish_large_file').length, 1);
+      assert.strictEqual(server.callsTo('b2_cancel_large_file').length, 0);
+      assert.strictEqual(ctx.output[0].b2.fileId, server.files[0].fileId);
+      assert.ok(ctx.output[0].imgUrl);
+    });
+
+    it('uploads large file parts in order with parallel workers', async () => {
+      server.minimumPartSize = 1024;
+      const buffer = Buffer.concat([1, 2, 3, 4, 5].map(n => Buffer.alloc(1024, n)));
+      const ctx = setup(server, { largeFileThreshold: '0.001', partSize: String(1024 / 1024 / 1024), largeFileConcurrency: '3' }, [
+        { fileName: 'a.bin', extname: '.bin', buffer }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [finish] = server.callsTo('b2_finish_large_file');
+      const parts = [0, 1, 2, 3, 4].map(i => sha1(buffer.subarray(i * 1024, (i + 1) * 1024)));
+      assert.deepStrictEqual(finish.body.partSha1Array, parts);
+      assert.strictEqual(new Set(server.callsTo('upload_part').map(c => c.headers.authorization)).size, 3);
+      assert.ok(server.files[0].data.equals(buffer));
+    });
+
+    it('cancels the large file when a part fails', async () => {
+      server.minimumPartSize = 1024;
+      server.inject('upload_part', { status: 400 });
+      const ctx = setup(server, { largeFileThreshold: '0.001', largeFileConcurrency: '1' }, [
+        { fileName: 'a.bin', extname: '.bin', buffer: Buffer.alloc(4096, 4) }
+      ]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Injected error/);
+
+      const [start] = server.callsTo('b2_start_large_file');
+      assert.ok(start);
+      assert.strictEqual(server.callsTo('b2_cancel_large_file').length, 1);
+      assert.strictEqual(server.callsTo('b2_finish_large_file').length, 0);
+      assert.strictEqual(server.largeFiles.size, 0);
+      assert.strictEqual(server.files.length, 0);
+    });
+
+    it('keeps the output order when uploads finish out of order', async () => {
+      const ctx = setup(server, { uploadConcurrency: '3', keyTemplate: '{name}.{ext}' },
+        ['a', 'b', 'c', 'd'].map(name => image(`${name}.png`, name)));
+      const request = ctx.request;
+      ctx.request = async (options) => {
+        // 第一个文件最后完成
+        if ((options.headers || {})['X-Bz-File-Name'] === 'a.png') {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return request(options);
+      };
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.deepStrictEqual(server.files.map(f => f.fileName), ['b.png', 'c.png', 'd.png', 'a.png']);
+      assert.deepStrictEqual(ctx.output.map(item => item.b2.fileName), ['a.png', 'b.png', 'c.png', 'd.png']);
+      assert.deepStrictEqual(ctx.output.map(item => item.imgUrl.split('/').pop()), ['a.png', 'b.png', 'c.png', 'd.png']);
+    });
+
+    it('rejects file info over the header budget before uploading', async () => {
+      const ctx = setup(server, { fileInfo: `note=${'x'.repeat(7000)}` }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /over B2's 7000-byte limit/);
+      assert.strictEqual(server.callsTo('upload').length, 0);
+    });
+
+    it('rejects reserved and malformed file info names', async () => {
+      const reserved = setup(server, { fileInfo: 'b2-custom=1' }, [image('a.png', 'a')]);
+      await assert.rejects(reserved.uploaders.b2.handle(reserved), /B2 reserves the b2- prefix/);
+
+      const malformed = setup(server, { fileInfo: 'source' }, [image('a.png', 'a')]);
+      await assert.rejects(malformed.uploaders.b2.handle(malformed), /Invalid file info entry: source/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('encrypts uploads with SSE-B2', async () => {
+      const ctx = setup(server, { encryption: 'SSE-B2' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('upload')[0].headers['x-bz-server-side-encryption'], 'AES256');
+      assert.deepStrictEqual(server.files[0].serverSideEncryption, { mode: 'SSE-B2', algorithm: 'AES256' });
+    });
+
+    it('encrypts uploads with an SSE-C key from the environment', async (t) => {
+      process.env.PICGO_B2_SSE_C_KEY = SSE_C_KEY;
+      t.after(() => delete process.env.PICGO_B2_SSE_C_KEY);
+      const config = { encryption: 'SSE-C', customDomain: 'https://cdn.example.com', deletePolicy: 'all' };
+      const ctx = setup(server, config, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [file] = server.files;
+      assert.strictEqual(file.serverSideEncryption.mode, 'SSE-C');
+      const download = await httpTransport({ url: `${server.url}/file/${server.bucketName}/${file.fileName}` });
+      assert.strictEqual(download.status, 400);
+
+      const result = await gui.deleteB2File(file.fileName, configFor(server, config), ctx.log);
+      assert.strictEqual(result.versions, 1);
+      assert.strictEqual(server.files.length, 0);
+      for (const call of server.callsTo('b2_list_file_versions').concat(server.callsTo('b2_delete_file_version'))) {
+        assert.strictEqual(call.headers['x-bz-server-side-encryption-customer-key'], undefined);
+      }
+    });
+
+    it('sends the SSE-C key when starting large files and with every part', async () => {
+      const ctx = setup(server, {
+        encryption: 'SSE-C',
+        sseCustomerKey: SSE_C_KEY,
+        customDomain: 'https://cdn.example.com',
+        largeFileThreshold: '10',
+        partSize: '5'
+      }, [{ fileName: 'video.mp4', extname: '.mp4', buffer: Buffer.alloc(10 * 1024 * 1024, 2) }]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [start] = server.callsTo('b2_start_large_file');
+      assert.strictEqual(start.body.serverSideEncryption.customerKey, SSE_C_KEY);
+      assert.strictEqual(server.callsTo('upload_part').length, 2);
+      assert.strictEqual(server.files[0].serverSideEncryption.mode, 'SSE-C');
+    });
+
+    it('refuses SSE-C without a custom domain or with an invalid key', async () => {
+      const noDomain = setup(server, { encryption: 'SSE-C', sseCustomerKey: SSE_C_KEY }, [image('a.png', 'a')]);
+      await assert.rejects(noDomain.uploaders.b2.handle(noDomain), /cannot be downloaded without the customer key/);
+
+      const badKey = setup(server, { encryption: 'SSE-C', sseCustomerKey: 'c2hvcnQ=', customDomain: 'https://cdn.example.com' }, [image('a.png', 'a')]);
+      await assert.rejects(badKey.uploaders.b2.handle(badKey), /Invalid SSE-C customer key/);
+
+      const noKey = setup(server, { encryption: 'SSE-C', customDomain: 'https://cdn.example.com' }, [image('a.png', 'a')]);
+      await assert.rejects(noKey.uploaders.b2.handle(noKey), /SSE-C requires a customer key/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('strips metadata before hashing and uploading', async () => {
+      const files = { 'a.jpg': jpegWithMetadata(), 'b.png': pngWithMetadata(), 'c.webp': webpWithMetadata() };
+      const ctx = setup(server, { stripMetadata: true, keyTemplate: '{name}-{sha1}.{ext}' },
+        Object.entries(files).map(([fileName, buffer]) => ({ fileName, extname: path.extname(fileName), buffer })));
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const stored = Object.fromEntries(server.files.map(f => [f.fileName.split('-')[0], f]));
+      for (const file of Object.values(stored)) {
+        assert.strictEqual(file.fileName, `${file.fileName.split('-')[0]}-${file.contentSha1}${path.extname(file.fileName)}`);
+        for (const marker of ['GPS', 'xmpmeta', 'IPTC', 'taken at home']) {
+          assert.ok(!file.data.includes(marker), `${file.fileName} still contains ${marker}`);
+        }
+      }
+      assert.ok(stored.a.data.includes('JFIF'));
+      assert.ok(stored.a.data.subarray(-8).equals(Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9])));
+      assert.deepStrictEqual(webpChunkTypes(stored.c.data), ['VP8X', 'VP8 ']);
+      assert.strictEqual(stored.c.data[20] & 0x0c, 0);
+      assert.strictEqual(stored.c.data.readUInt32LE(4), stored.c.data.length - 8);
+      assert.strictEqual(ctx.logs.info.filter(l => /Removed \d+ bytes of metadata/.test(l)).length, 3);
+      assert.ok(ctx.logs.info.includes(`[B2] Removed ${files['a.jpg'].length - stored.a.data.length} bytes of metadata from a.jpg`));
+    });
+
+    it('keeps only the orientation when asked to', async () => {
+      const ctx = setup(server, { stripMetadata: true, keepOrientation: true }, [
+        { fileName: 'a.jpg', extname: '.jpg', buffer: jpegWithMetadata() },
+        { fileName: 'c.webp', extname: '.webp', buffer: webpWithMetadata() }
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const jpeg = server.files.find(f => f.fileName.endsWith('.jpg')).data;
+      const exif = jpeg.indexOf('Exif\0\0');
+      assert.ok(exif > 0);
+      assert.strictEqual(readOrientation(jpeg.subarray(exif + 6)), 6);
+      assert.ok(!jpeg.includes('GPS'));
+
+      const webp = server.files.find(f => f.fileName.endsWith('.webp')).data;
+      assert.deepStrictEqual(webpChunkTypes(webp), ['VP8X', 'VP8 ', 'EXIF']);
+      assert.strictEqual(webp[20] & 0x0c, 0x08);
+    });
+
+    it('uploads untouched when metadata stripping is off', async () => {
+      const buffer = jpegWithMetadata();
+      const ctx = setup(server, {}, [{ fileName: 'a.jpg', extname: '.jpg', buffer }]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.ok(server.files[0].data.equals(buffer));
+    });
+
+    it('records the active profile on each item', async () => {
+      const ctx = setup(server, { activeProfile: 'blog' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(ctx.output[0].b2.profile, 'blog');
+    });
+
+    it('applies the path prefix and key template', async () => {
+      const ctx = setup(server, { pathPrefix: 'blog', keyTemplate: '{slug}-{counter:2}.{ext}' }, [
+        image('My Photo.png', 'a'),
+        image('Other.png', 'b')
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.deepStrictEqual(server.latestFiles().map(f => f.fileName), ['blog/my-photo-01.png', 'blog/other-02.png']);
+    });
+
+    it('keeps path separators in custom domain URLs', async () => {
+      const ctx = setup(server, { customDomain: 'https://cdn.example.com/', pathPrefix: 'blog/2024', keyTemplate: '{name}.{ext}' }, [
+        image('a b.png', 'a')
+      ]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(ctx.output[0].imgUrl, 'https://cdn.example.com/blog/2024/a%20b.png');
+    });
+
+    it('renders the URL template and suffix', async () => {
+      const ctx = setup(server, {
+        customDomain: 'https://cdn.example.com',
+        pathPrefix: 'blog',
+        keyTemplate: '{name}.{ext}',
+        urlTemplate: '{domain}/file/{bucket}/{path}?id={fileId}&type={ext}',
+        urlSuffix: '&width=800'
+      }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const { fileId } = server.files[0];
+      assert.strictEqual(ctx.output[0].imgUrl, `https://cdn.example.com/file/test-bucket/blog/a.png?id=${fileId}&type=png&width=800`);
+    });
+
+    it('rejects unknown URL template placeholders before uploading', async () => {
+      const ctx = setup(server, { urlTemplate: '{domain}/{key}' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Unknown URL template placeholder: \{key\}/);
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('reuses the cached authorization across batches', async () => {
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+      await ctx.uploaders.b2.handle(ctx);
+      ctx.output = [image('b.png', 'b')];
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_authorize_account').length, 1);
+      assert.strictEqual(server.callsTo('b2_get_upload_url').length, 1);
+    });
+
+    it('keeps separate authorizations per API endpoint', async (t) => {
+      const other = new MockB2Server();
+      await other.start();
+      t.after(() => other.stop());
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+      await ctx.uploaders.b2.handle(ctx);
+      ctx.saveConfig({ 'picBed.b2.apiEndpoint': other.url });
+      ctx.output = [image('b.png', 'b')];
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(other.callsTo('b2_authorize_account').length, 1);
+      assert.strictEqual(server.files.length, 1);
+      assert.strictEqual(other.files.length, 1);
+    });
+
+    it('re-authorizes when the token has expired', async () => {
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+      await ctx.uploaders.b2.handle(ctx);
+      server.expireTokens();
+      ctx.output = [image('b.png', 'b')];
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_authorize_account').length, 2);
+      assert.strictEqual(server.files.length, 2);
+    });
+
+    it('retries a 503 upload with a new upload URL', async () => {
+      server.inject('upload', { status: 503, headers: { 'Retry-After': '0' } });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('upload').length, 2);
+      assert.strictEqual(server.callsTo('b2_get_upload_url').length, 2);
+      assert.strictEqual(server.files.length, 1);
+    });
+
+    it('waits for Retry-After on 429 and keeps the upload URL', async () => {
+      server.inject('upload', { status: 429, headers: { 'Retry-After': '1' } });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const uploads = server.callsTo('upload');
+      assert.strictEqual(uploads.length, 2);
+      assert.strictEqual(uploads[0].url.pathname, uploads[1].url.pathname);
+      assert.strictEqual(server.callsTo('b2_get_upload_url').length, 1);
+      assert.ok(ctx.logs.warn.some(line => line.includes('retrying in 1000 ms')));
+      assert.strictEqual(server.files.length, 1);
+    });
+
+    it('gets a new upload URL when the upload token has expired', async () => {
+      server.inject('upload', { status: 401, body: { status: 401, code: 'expired_auth_token', message: 'Authorization token has expired' } });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const uploads = server.callsTo('upload');
+      assert.strictEqual(uploads.length, 2);
+      assert.notStrictEqual(uploads[0].url.pathname, uploads[1].url.pathname);
+      assert.strictEqual(server.callsTo('b2_get_upload_url').length, 2);
+      assert.strictEqual(server.files.length, 1);
+    });
+
+    it(`authorizes against the endpoint from ${API_ENDPOINT_ENV}`, async (t) => {
+      process.env[API_ENDPOINT_ENV] = `${server.url}/`;
+      t.after(() => delete process.env[API_ENDPOINT_ENV]);
+      const ctx = setup(server, { apiEndpoint: '' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_authorize_account').length, 1);
+      assert.strictEqual(server.files.length, 1);
+    });
+
+    it('signs URLs for private buckets', async () => {
+      server.bucketType = 'allPrivate';
+      const ctx = setup(server, { privateBucket: true, downloadAuthDuration: '3600' }, [image('a.png', 'secret')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [item] = ctx.output;
+      assert.match(item.imgUrl, /\/a_\d+_\w{6}\.png\?Authorization=download-token-\d+$/);
+      const [call] = server.callsTo('b2_get_download_authorization');
+      assert.strictEqual(call.body.fileNamePrefix, server.files[0].fileName);
+      assert.strictEqual(call.body.validDurationInSeconds, 3600);
+
+      const signed = await httpTransport({ url: item.imgUrl });
+      assert.strictEqual(signed.body, 'secret');
+      const unsigned = await httpTransport({ url: item.imgUrl.split('?')[0] });
+      assert.strictEqual(unsigned.status, 401);
+    });
+
+    it('caps the signed URL validity at seven days', async () => {
+      const ctx = setup(server, { privateBucket: true, downloadAuthDuration: '9999999' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_get_download_authorization')[0].body.validDurationInSeconds, 604800);
+    });
+
+    it('looks up a missing bucket ID from the bucket name and saves it', async () => {
+      const ctx = setup(server, { bucketId: '' }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('b2_get_upload_url')[0].body.bucketId, 'test-bucket-id');
+      assert.strictEqual(ctx.getConfig('picBed.b2.bucketId'), 'test-bucket-id');
+      assert.ok(ctx.logs.info.some(line => line.includes('Resolved bucket "test-bucket" (test-bucket-id)')));
+    });
+
+    it('rejects a bucket name the key cannot access', async () => {
+      const ctx = setup(server, { bucketId: '', bucketName: 'nope' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /restricted to "test-bucket" and cannot access bucket "nope"/);
+      assert.strictEqual(server.callsTo('upload').length, 0);
+    });
+
+    it('rejects a bucket outside the key\'s restriction before uploading', async () => {
+      const ctx = setup(server, { bucketId: 'other-bucket-id', bucketName: 'other-bucket' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /restricted to bucket "test-bucket" and cannot upload to "other-bucket" \(other-bucket-id\)/);
+      assert.strictEqual(server.callsTo('b2_get_upload_url').length, 0);
+    });
+
+    it('states the key\'s namePrefix when the file name is outside it', async () => {
+      server.allowed = { ...server.allowed, namePrefix: 'blog/' };
+      const ctx = setup(server, { pathPrefix: 'images' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /images\/.+ is outside the application key's namePrefix "blog\/": set Path Prefix to start with "blog\/", or enable Auto Name Prefix/);
+      assert.strictEqual(server.callsTo('upload').length, 0);
+    });
+
+    it('prepends the key\'s namePrefix with autoNamePrefix', async () => {
+      server.allowed = { ...server.allowed, namePrefix: 'blog' };
+      const ctx = setup(server, { pathPrefix: 'images', keyTemplate: '{name}.{ext}', autoNamePrefix: true }, [image('a.png', 'a')]);
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.files[0].fileName, 'blog/images/a.png');
+      assert.ok(ctx.logs.info.some(line => line.includes('Prepended the application key\'s namePrefix "blog" to images/a.png')));
+    });
+
+    it('does not nest the namePrefix folder in itself', async () => {
+      server.allowed = { ...server.allowed, namePrefix: 'blog/2024/' };
+      const ctx = setup(server, { pathPrefix: 'blog', keyTemplate: '{name}.{ext}', autoNamePrefix: true }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /blog\/a\.png is outside the application key's namePrefix "blog\/2024\/": set Path Prefix to start with "blog\/2024\/"$/);
+    });
+
+    it('fails with a notification when configuration is missing', async () => {
+      const ctx = setup(server, { bucketId: '', bucketName: '' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Missing required B2 configuration/);
+      assert.strictEqual(ctx.notifications[0].title, 'B2 Upload Error');
+      assert.strictEqual(server.calls.length, 0);
+    });
+
+    it('reports B2 error responses', async () => {
+      server.inject('b2_get_upload_url', { status: 400, body: { status: 400, code: 'bad_request', message: 'Invalid bucketId' } });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Failed to get upload URL: Invalid bucketId/);
+      assert.match(ctx.notifications[0].body, /Invalid bucketId/);
+    });
+
+    it('reports invalid credentials as an authorization error', async () => {
+      const ctx = setup(server, { applicationKey: 'wrong' }, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), (err) => {
+        assert.strictEqual(err.name, 'B2AuthError');
+        assert.match(err.message, /Authorization failed: Invalid application key/);
+        return true;
+      });
+    });
+
+    it('rejects a malformed authorization response', async () => {
+      server.inject('b2_authorize_account', { raw: '<html>Bad Gateway</html>' });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /Authorization failed: response is empty or invalid/);
+    });
+
+    it('rejects an authorization response without an API URL', async () => {
+      server.inject('b2_authorize_account', { status: 200, body: { authorizationToken: 'token' } });
+      const ctx = setup(server, {}, [image('a.png', 'a')]);
+
+      await assert.rejects(ctx.uploaders.b2.handle(ctx), /missing apiUrl or authorizationToken/);
+    });
+  });
+
+  describe('dedupe', () => {
+    let baseDir;
+
+    beforeEach(() => {
+      baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-dedupe-'));
+    });
+
+    afterEach(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+
+    function readIndex() {
+      return JSON.parse(fs.readFileSync(path.join(baseDir, 'b2-dedupe-index.json'), 'utf-8'));
+    }
+
+    it('reuses a file found in the local index', async () => {
+      const ctx = setup(server, { dedupe: true }, [image('a.png', 'same')], { baseDir });
+      await ctx.uploaders.b2.handle(ctx);
+      const first = ctx.output[0];
+      ctx.output = [image('b.png', 'same')];
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('upload').length, 1);
+      assert.strictEqual(ctx.output[0].imgUrl, first.imgUrl);
+      assert.strictEqual(ctx.output[0].b2.fileId, first.b2.fileId);
+      assert.strictEqual(ctx.output[0].b2.reused, true);
+      assert.strictEqual(first.b2.reused, undefined);
+      assert.deepStrictEqual(readIndex()[`${server.bucketId}:${sha1('same')}`], { fileName: first.b2.fileName, fileId: first.b2.fileId });
+      assert.ok(ctx.logs.info.some(line => line.startsWith('[B2] Reused existing file with the same SHA1')));
+    });
+
+    it('checks content-addressed keys on B2 without an index', async () => {
+      const existing = server.addFile(`${sha1('same')}.png`, 'same');
+      const ctx = setup(server, { dedupe: true, keyTemplate: '{sha1}.{ext}' }, [image('a.png', 'same')], { baseDir });
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('upload').length, 0);
+      assert.strictEqual(ctx.output[0].b2.fileId, existing.fileId);
+      assert.strictEqual(fs.existsSync(path.join(baseDir, 'b2-dedupe-index.json')), false);
+    });
+
+    it('uploads again and replaces the index entry when the indexed file is gone', async () => {
+      const ctx = setup(server, { dedupe: true }, [image('a.png', 'same')], { baseDir });
+      await ctx.uploaders.b2.handle(ctx);
+      server.files = [];
+      ctx.output = [image('b.png', 'same')];
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      const [file] = server.files;
+      assert.strictEqual(server.callsTo('upload').length, 2);
+      assert.strictEqual(ctx.output[0].b2.fileId, file.fileId);
+      assert.deepStrictEqual(readIndex(), { [`${server.bucketId}:${sha1('same')}`]: { fileName: file.fileName, fileId: file.fileId } });
+    });
+
+    it('does not reuse a file whose content changed', async () => {
+      const ctx = setup(server, { dedupe: true, keyTemplate: '{sha1}.{ext}' }, [image('a.png', 'same')], { baseDir });
+      server.addFile(`${sha1('same')}.png`, 'other');
+
+      await ctx.uploaders.b2.handle(ctx);
+
+      assert.strictEqual(server.callsTo('upload').length, 1);
+      assert.strictEqual(server.latestFiles()[0].data.toString(), 'same');
+    });
+  });
+});